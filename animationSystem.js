@@ -0,0 +1,206 @@
+// Animation System - Keyframe recording and playback of joint angles
+
+const JOINT_NAMES = ['base', 'shoulder', 'elbow', 'wristPitch', 'wristRoll', 'gripper'];
+
+export class AnimationSystem {
+    constructor() {
+        this.keyframes = []; // Sorted by time: { time, angles, point? } - point names a taught point
+        this.currentTime = 0;
+        this.duration = 10; // Visible timeline length in seconds
+        this.speed = 1.0;
+        this.playing = false;
+        this.loop = false;
+    }
+
+    /**
+     * Add a keyframe (replaces an existing keyframe at the same time)
+     * @param {number} time - Time in seconds
+     * @param {Object} angles - Joint angles in degrees
+     * @param {string} [point] - Taught point the arm angles come from (see resolvePoints)
+     */
+    addKeyframe(time, angles, point = null) {
+        const keyframe = {
+            time: Math.max(0, time),
+            angles: { ...angles }
+        };
+        if (point) keyframe.point = point;
+
+        const existingIndex = this.keyframes.findIndex(kf => Math.abs(kf.time - keyframe.time) < 0.01);
+        if (existingIndex >= 0) {
+            this.keyframes[existingIndex] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+
+        // Grow the timeline so new keyframes stay visible
+        if (keyframe.time > this.duration) {
+            this.duration = Math.ceil(keyframe.time);
+        }
+
+        return keyframe;
+    }
+
+    /**
+     * Refresh keyframes that reference taught points (points may have been taught again)
+     * @param {Array} points - [{ name, angles }]
+     * @returns {Array} Names of referenced points that no longer exist
+     */
+    resolvePoints(points) {
+        const missing = new Set();
+        this.keyframes.forEach(kf => {
+            if (!kf.point) return;
+
+            const point = points.find(p => p.name === kf.point);
+            if (point) {
+                Object.assign(kf.angles, point.angles);
+            } else {
+                missing.add(kf.point);
+            }
+        });
+        return [...missing];
+    }
+
+    /**
+     * Remove keyframe by index
+     */
+    removeKeyframe(index) {
+        if (index >= 0 && index < this.keyframes.length) {
+            this.keyframes.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove all keyframes and rewind
+     */
+    clearAllKeyframes() {
+        this.keyframes = [];
+        this.currentTime = 0;
+        this.playing = false;
+    }
+
+    /**
+     * Get all keyframes (sorted by time)
+     */
+    getAllKeyframes() {
+        return this.keyframes;
+    }
+
+    /**
+     * Time of the last keyframe - playback stops here
+     */
+    getEndTime() {
+        if (this.keyframes.length === 0) return 0;
+        return this.keyframes[this.keyframes.length - 1].time;
+    }
+
+    play() {
+        if (this.keyframes.length < 2) return false;
+
+        // Restart from the beginning if we are at the end
+        if (this.currentTime >= this.getEndTime()) {
+            this.currentTime = 0;
+        }
+        this.playing = true;
+        return true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    stop() {
+        this.playing = false;
+        this.currentTime = 0;
+    }
+
+    /**
+     * Playhead position relative to the timeline (0..1)
+     */
+    getProgress() {
+        if (this.duration <= 0) return 0;
+        return Math.max(0, Math.min(1, this.currentTime / this.duration));
+    }
+
+    /**
+     * Advance playback and return the interpolated angles
+     * @param {number} dt - Delta time in seconds (0 just samples the current time)
+     * @returns {Object|null} Joint angles or null if there are no keyframes
+     */
+    update(dt = 0) {
+        if (this.playing) {
+            this.currentTime += dt * this.speed;
+
+            const endTime = this.getEndTime();
+            if (this.currentTime >= endTime) {
+                if (this.loop && endTime > 0) {
+                    this.currentTime %= endTime;
+                } else {
+                    this.currentTime = endTime;
+                    this.playing = false;
+                }
+            }
+        }
+
+        return this.getAnglesAt(this.currentTime);
+    }
+
+    /**
+     * Interpolate joint angles at a given time
+     */
+    getAnglesAt(time) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) return null;
+
+        // Hold first/last pose outside the keyframe range
+        if (time <= keyframes[0].time) return { ...keyframes[0].angles };
+        const last = keyframes[keyframes.length - 1];
+        if (time >= last.time) return { ...last.angles };
+
+        // Find surrounding keyframes
+        let next = 1;
+        while (keyframes[next].time < time) next++;
+        const a = keyframes[next - 1];
+        const b = keyframes[next];
+
+        const span = b.time - a.time;
+        const t = span > 0 ? (time - a.time) / span : 1;
+        // Ease in/out so the arm accelerates and brakes at each keyframe
+        const eased = t * t * (3 - 2 * t);
+
+        const angles = {};
+        JOINT_NAMES.forEach(joint => {
+            const from = a.angles[joint] ?? 0;
+            const to = b.angles[joint] ?? from;
+            angles[joint] = from + (to - from) * eased;
+        });
+
+        return angles;
+    }
+
+    /**
+     * Serialize for Storage.saveAnimation
+     */
+    toJSON() {
+        return {
+            duration: this.duration,
+            keyframes: this.keyframes.map(kf => ({
+                time: kf.time,
+                angles: { ...kf.angles },
+                ...(kf.point ? { point: kf.point } : {})
+            }))
+        };
+    }
+
+    /**
+     * Load keyframes from serialized data
+     */
+    loadFromJSON(data) {
+        this.clearAllKeyframes();
+        if (!data || !Array.isArray(data.keyframes)) return false;
+
+        this.duration = data.duration || 10;
+        data.keyframes.forEach(kf => this.addKeyframe(kf.time, kf.angles, kf.point));
+        return true;
+    }
+}
@@ -1,19 +1,131 @@
 // Main Application Logic
 
+import * as THREE from 'three';
 import { RobotArmSimulator } from './robotArm.js';
-import { LEVELS } from './levelData.js';
+import { LEVELS, getLevelById } from './levelData.js';
 import { Storage } from './storage.js';
+import { createLevelPack, parseLevelPack, downloadLevelPack } from './levelPack.js';
+import { Modal, Toast } from './modal.js';
+import { TELEOP_JOINTS, TELEOP_AXES, TELEOP_BUTTONS } from './teleop.js';
+import { isValidPointName } from './robotProgram.js';
+import { createPoseFile, parsePoseFile, downloadPoseFile, isBuiltInPose } from './poseLibrary.js';
+
+// Example shown when switching the editor to the robot program language
+const PROGRAM_EXAMPLE = `; Würfel greifen und ablegen
+GRIP OPEN
+MOVL X=2 Y=0.6 Z=0
+MOVL X=2 Y=0.15 Z=0
+GRIP CLOSE
+MOVL X=2 Y=0.8 Z=0
+MOVJ J1=180
+MOVL X=-2 Y=0.2 Z=0
+GRIP OPEN
+
+; Zum Schluss dreimal winken
+LOOP 3
+    MOVJ J1=150 J2=0 J3=0
+    MOVJ J1=-150
+ENDLOOP
+MOVJ 0 0 0 0 0
+`;
+
+// Panels sharing the slot left of the joint controls: [panel id, toggle button id]
+const SIDE_PANELS = [
+    ['scriptPanel', 'toggleScriptPanel'],
+    ['scenePanel', 'toggleScenePanel'],
+    ['teleopPanel', 'toggleTeleopPanel'],
+    ['pendantPanel', 'togglePendantPanel'],
+    ['posePanel', 'togglePosePanel']
+];
+
+// Jog rows of the teach pendant per frame: [axis, label]
+const PENDANT_AXES = {
+    joint: [
+        ['base', 'Basis'],
+        ['shoulder', 'Schulter'],
+        ['elbow', 'Ellbogen'],
+        ['wristPitch', 'Handgelenk Pitch'],
+        ['wristRoll', 'Handgelenk Roll'],
+        ['gripper', 'Greifer']
+    ],
+    world: [['x', 'X'], ['y', 'Y (Höhe)'], ['z', 'Z']],
+    tool: [['x', 'X'], ['y', 'Y (Anfahrrichtung)'], ['z', 'Z']]
+};
+
+// Teleop actions as shown in the binding table
+const TELEOP_LABELS = {
+    base: 'Basis',
+    shoulder: 'Schulter',
+    elbow: 'Ellbogen',
+    wristPitch: 'Handgelenk Pitch',
+    wristRoll: 'Handgelenk Roll',
+    x: 'Greifer X',
+    y: 'Greifer Y (Höhe)',
+    z: 'Greifer Z',
+    gripperToggle: 'Greifer auf/zu',
+    modeToggle: 'Sticks: Gelenke/Greifer',
+    fast: 'Schnell (halten)'
+};
+
+const KEY_NAMES = {
+    Space: 'Leertaste',
+    ShiftLeft: 'Shift links',
+    ShiftRight: 'Shift rechts',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    PageUp: 'Bild ↑',
+    PageDown: 'Bild ↓'
+};
+
+// Readable name of a key code or gamepad source
+function formatBinding(binding) {
+    if (!binding) return '–';
+
+    const source = /^(-?)(axis|button):(\d+)$/.exec(binding);
+    if (source) {
+        return source[2] === 'axis'
+            ? `Achse ${source[3]}${source[1] ? ' (inv.)' : ''}`
+            : `Taste ${source[3]}`;
+    }
+    return KEY_NAMES[binding] || binding.replace(/^(Key|Digit)/, '');
+}
+
+// Seconds as m:ss for the level countdown
+function formatClock(seconds) {
+    const total = Math.ceil(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
 
 class App {
     constructor() {
         this.currentScreen = 'home';
         this.robotSimulator = null;
         this.storage = new Storage();
+        this.currentLevelId = null;
+        this.modal = null;
+        this.toast = null;
+        this.hudState = { targetsFilled: 0, timeWarned: false }; // For HUD toasts
+
+        // Code editor: one source per language ('js' | 'program')
+        this.scriptLanguage = 'js';
+        this.scriptSources = { program: PROGRAM_EXAMPLE };
+        this.scriptErrorLines = new Set();
+        this.scriptCurrentLine = null;
+
+        this.pendantFrame = 'joint';
+        this.pinnedPose = null; // Pose kept as ghost arm after the pointer leaves the list
 
         this.init();
     }
 
     init() {
+        const modalElement = document.getElementById('modalDialog');
+        if (modalElement) this.modal = new Modal(modalElement);
+        const toastContainer = document.getElementById('toastContainer');
+        if (toastContainer) this.toast = new Toast(toastContainer);
+
         this.setupEventListeners();
 
         // Listen for level completion
@@ -21,6 +133,22 @@ class App {
             this.handleLevelCompletion(e.detail);
         });
 
+        // Listen for level failure (time limit)
+        window.addEventListener('levelFailed', (e) => {
+            this.handleLevelFailure(e.detail);
+        });
+
+        // Keep sliders in sync when the arm is moved by animation or reach mode
+        window.addEventListener('jointsUpdated', () => this.updateSliders());
+
+        // Level editor draft or selection changed
+        window.addEventListener('levelEditorChanged', (e) => this.updateLevelEditorForm(e.detail));
+
+        // Script runner output
+        window.addEventListener('scriptLog', (e) => this.appendScriptOutput(e.detail.text));
+        window.addEventListener('scriptError', (e) => this.showScriptError(e.detail));
+        window.addEventListener('scriptStateChanged', (e) => this.updateScriptControls(e.detail));
+
         // 3D Tilt Effect for Hero Card
         const heroCard = document.querySelector('.hero-card');
         const homeContent = document.querySelector('.home-content');
@@ -65,6 +193,26 @@ class App {
             levelsBtn.addEventListener('click', () => this.showLevels());
         }
 
+        // Level Editor Button
+        const editorBtn = document.getElementById('startLevelEditor');
+        if (editorBtn) {
+            editorBtn.addEventListener('click', () => this.startLevelEditor());
+        }
+
+        // Level Pack Import / Export
+        const exportPackBtn = document.getElementById('exportLevelPack');
+        if (exportPackBtn) {
+            exportPackBtn.addEventListener('click', () => this.exportLevelPack());
+        }
+
+        const importPackInput = document.getElementById('importLevelPack');
+        if (importPackInput) {
+            importPackInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.importLevelPack(e.target.files[0]);
+                e.target.value = ''; // Same file can be imported again
+            });
+        }
+
         // Back to Home Button
         const backBtn = document.getElementById('backToHome');
         if (backBtn) {
@@ -80,12 +228,53 @@ class App {
             });
         }
 
+        // Click-to-reach Mode Button
+        const reachBtn = document.getElementById('toggleReachMode');
+        if (reachBtn) {
+            reachBtn.addEventListener('click', () => this.toggleReachMode());
+        }
+
+        // Trail and Workspace Overlay Buttons
+        const trailBtn = document.getElementById('toggleTrail');
+        if (trailBtn) {
+            trailBtn.addEventListener('click', () => this.toggleOverlay('trail'));
+        }
+
+        const workspaceBtn = document.getElementById('toggleWorkspace');
+        if (workspaceBtn) {
+            workspaceBtn.addEventListener('click', () => this.toggleOverlay('workspace'));
+        }
+
         // Reset Position Button
         const resetBtn = document.getElementById('resetPosition');
         if (resetBtn) {
             resetBtn.addEventListener('click', () => this.resetRobotPosition());
         }
 
+        // Motion preview (ghost arm) before execution
+        const previewBtn = document.getElementById('togglePreviewMode');
+        if (previewBtn) {
+            previewBtn.addEventListener('click', () => this.togglePreviewMode());
+        }
+
+        const executeBtn = document.getElementById('previewExecute');
+        if (executeBtn) {
+            executeBtn.addEventListener('click', () => {
+                if (this.robotSimulator) this.robotSimulator.executePendingMotion();
+            });
+        }
+
+        const discardBtn = document.getElementById('previewDiscard');
+        if (discardBtn) {
+            discardBtn.addEventListener('click', () => {
+                if (!this.robotSimulator) return;
+                this.robotSimulator.discardPendingMotion();
+                this.updateSliders();
+            });
+        }
+
+        window.addEventListener('motionPreview', (e) => this.updateMotionPreview(e.detail));
+
         // Object Spawning Buttons
         const spawnCubeBtn = document.getElementById('spawnCube');
         if (spawnCubeBtn) {
@@ -106,10 +295,274 @@ class App {
         if (clearObjectsBtn) {
             clearObjectsBtn.addEventListener('click', () => this.clearAllObjects());
         }
+
+        // Animation Timeline Buttons
+        const timelineButtons = [
+            { id: 'recordKeyframe', action: () => this.recordKeyframe() },
+            { id: 'playAnimation', action: () => this.playAnimation() },
+            { id: 'pauseAnimation', action: () => this.pauseAnimation() },
+            { id: 'stopAnimation', action: () => this.stopAnimation() },
+            { id: 'clearAnimation', action: () => this.clearAnimation() }
+        ];
+
+        timelineButtons.forEach(button => {
+            const element = document.getElementById(button.id);
+            if (element) {
+                element.addEventListener('click', button.action);
+            }
+        });
+
+        const speedSlider = document.getElementById('animationSpeed');
+        const speedValue = document.getElementById('animationSpeedValue');
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                const speed = parseFloat(e.target.value);
+                if (speedValue) speedValue.textContent = speed + 'x';
+                if (this.robotSimulator && this.robotSimulator.animationSystem) {
+                    this.robotSimulator.animationSystem.speed = speed;
+                }
+            });
+        }
+
+        // Simulation Controls (pause / single step / fast-forward)
+        const simPauseBtn = document.getElementById('simPause');
+        if (simPauseBtn) {
+            simPauseBtn.addEventListener('click', () => this.toggleSimulationPause());
+        }
+
+        const simStepBtn = document.getElementById('simStep');
+        if (simStepBtn) {
+            simStepBtn.addEventListener('click', () => {
+                if (this.robotSimulator) this.robotSimulator.stepSimulation();
+            });
+        }
+
+        const simSpeedBtn = document.getElementById('simSpeed');
+        if (simSpeedBtn) {
+            simSpeedBtn.addEventListener('click', () => this.cycleSimulationSpeed());
+        }
+
+        // Script Editor
+        this.setupScriptEditor();
+
+        // Level Editor Panel
+        this.setupLevelEditor();
+
+        // Sandbox Scene Manager
+        this.setupSceneManager();
+
+        // Keyboard / Gamepad Teleoperation
+        this.setupTeleop();
+
+        // Teach Pendant
+        this.setupPendant();
+
+        // Pose Library
+        this.setupPoseLibrary();
+
         // Joint Control Sliders
         this.setupJointControls();
     }
 
+    setupScriptEditor() {
+        const toggleBtn = document.getElementById('toggleScriptPanel');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleScriptPanel());
+        }
+
+        const buttons = [
+            { id: 'scriptRun', action: () => this.runScript() },
+            { id: 'scriptStep', action: () => this.stepScript() },
+            { id: 'scriptStop', action: () => this.stopScript() }
+        ];
+
+        buttons.forEach(button => {
+            const element = document.getElementById(button.id);
+            if (element) {
+                element.addEventListener('click', button.action);
+            }
+        });
+
+        const languageSelect = document.getElementById('scriptLanguage');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => this.setScriptLanguage(e.target.value));
+        }
+
+        const editor = document.getElementById('scriptEditor');
+        const gutter = document.getElementById('scriptGutter');
+        if (!editor || !gutter) return;
+
+        editor.addEventListener('input', () => {
+            this.scriptErrorLines.clear();
+            this.updateScriptGutter();
+        });
+        editor.addEventListener('scroll', () => {
+            gutter.scrollTop = editor.scrollTop;
+        });
+
+        // Tab inserts spaces instead of leaving the editor
+        editor.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+            e.preventDefault();
+            const start = editor.selectionStart;
+            editor.setRangeText('    ', start, editor.selectionEnd, 'end');
+            this.updateScriptGutter();
+        });
+
+        this.updateScriptGutter();
+    }
+
+    setupSceneManager() {
+        const toggleBtn = document.getElementById('toggleScenePanel');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleScenePanel());
+        }
+
+        const saveBtn = document.getElementById('sceneSave');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveScene());
+        }
+
+        const nameInput = document.getElementById('sceneName');
+        if (nameInput) {
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.saveScene();
+            });
+        }
+    }
+
+    setupTeleop() {
+        const toggleBtn = document.getElementById('toggleTeleopPanel');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleTeleopPanel());
+        }
+
+        const enabled = document.getElementById('teleopEnabled');
+        if (enabled) {
+            enabled.addEventListener('change', () => {
+                const teleop = this.getTeleop();
+                if (teleop) teleop.setEnabled(enabled.checked);
+            });
+        }
+
+        const mode = document.getElementById('teleopMode');
+        if (mode) {
+            mode.addEventListener('change', () => {
+                const teleop = this.getTeleop();
+                if (teleop) teleop.setMode(mode.value);
+            });
+        }
+
+        const resetBtn = document.getElementById('teleopReset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                const teleop = this.getTeleop();
+                if (teleop) teleop.resetMapping();
+            });
+        }
+
+        window.addEventListener('teleopChanged', (e) => this.updateTeleopPanel(e.detail));
+    }
+
+    setupPendant() {
+        const toggleBtn = document.getElementById('togglePendantPanel');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.togglePendantPanel());
+        }
+
+        document.querySelectorAll('#pendantFrames [data-frame]').forEach(button => {
+            button.addEventListener('click', () => this.setPendantFrame(button.dataset.frame));
+        });
+
+        const teachBtn = document.getElementById('pendantTeach');
+        if (teachBtn) {
+            teachBtn.addEventListener('click', () => this.teachPoint());
+        }
+
+        const nameInput = document.getElementById('pendantPointName');
+        if (nameInput) {
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.teachPoint();
+            });
+        }
+
+        // A jog button released outside the page would keep the arm moving
+        window.addEventListener('blur', () => this.stopPendantJog());
+
+        this.renderPendantJog();
+    }
+
+    setupPoseLibrary() {
+        const toggleBtn = document.getElementById('togglePosePanel');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.togglePosePanel());
+        }
+
+        const saveBtn = document.getElementById('poseSave');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.savePose());
+        }
+
+        const nameInput = document.getElementById('poseName');
+        if (nameInput) {
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.savePose();
+            });
+        }
+
+        const exportBtn = document.getElementById('exportPoses');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportPoses());
+        }
+
+        const importInput = document.getElementById('importPoses');
+        if (importInput) {
+            importInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) this.importPoses(e.target.files[0]);
+                e.target.value = ''; // Same file can be imported again
+            });
+        }
+    }
+
+    setupLevelEditor() {
+        const buttons = [
+            { id: 'editorNew', action: () => this.newEditorLevel() },
+            { id: 'editorTest', action: () => this.toggleEditorTest() },
+            { id: 'editorSave', action: () => this.saveEditorLevel() },
+            { id: 'editorLoad', action: () => this.loadEditorLevel() },
+            { id: 'editorDelete', action: () => this.deleteEditorLevel() },
+            { id: 'editorDeleteItem', action: () => this.deleteEditorItem() }
+        ];
+
+        buttons.forEach(button => {
+            const element = document.getElementById(button.id);
+            if (element) {
+                element.addEventListener('click', button.action);
+            }
+        });
+
+        document.querySelectorAll('.editor-tools [data-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setEditorTool(button.dataset.tool));
+        });
+
+        // Inputs are applied when committed (change), not on every keystroke
+        const settingIds = [
+            'editorName', 'editorDescription', 'editorHint', 'editorDifficulty', 'editorCollisionPolicy',
+            'editorTimeLimit', 'editorMoveLimit', 'editorMoveMetric', 'editorStar3', 'editorStar2', 'editorStar1'
+        ];
+        settingIds.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.applyEditorSettings());
+            }
+        });
+
+        const properties = document.getElementById('editorProperties');
+        if (properties) {
+            properties.addEventListener('change', () => this.applyEditorItem());
+        }
+    }
+
     setupJointControls() {
         const controls = [
             { id: 'baseRotation', joint: 'base', valueId: 'baseValue' },
@@ -134,9 +587,12 @@ class App {
                     valueDisplay.textContent = value + '°';
 
                     if (this.robotSimulator) {
-                        this.robotSimulator.updateJoints({
-                            [control.joint]: value
-                        });
+                        // In preview mode the slider edits the pending target instead of the arm
+                        const pending = this.robotSimulator.pendingMotion;
+                        const angles = pending && pending.type === 'joints'
+                            ? { ...pending.angles, [control.joint]: value }
+                            : { [control.joint]: value };
+                        this.robotSimulator.commandMotion({ type: 'joints', angles });
                     }
                 });
             }
@@ -151,6 +607,9 @@ class App {
         document.getElementById('simulatorScreen').classList.add('active');
 
         this.currentScreen = 'manual';
+
+        const sceneBtn = document.getElementById('toggleScenePanel');
+        if (sceneBtn) sceneBtn.hidden = false;
     }
 
     showLevels() {
@@ -192,17 +651,144 @@ class App {
             levelsGrid.appendChild(card);
         });
 
+        this.renderCustomLevels();
+
         document.getElementById('homeScreen').classList.remove('active');
         document.getElementById('levelScreen').classList.add('active');
     }
 
+    // Levels from the editor and imported packs - always unlocked
+    renderCustomLevels() {
+        const grid = document.getElementById('customLevelsGrid');
+        if (!grid) return;
+
+        const stars = this.storage.loadProgress().levelStars || {};
+        const levels = this.storage.loadCustomLevels();
+
+        grid.innerHTML = '';
+        levels.forEach(level => {
+            const starCount = stars[level.id] || 0;
+            let starsHtml = '';
+            for (let i = 0; i < 3; i++) {
+                starsHtml += i < starCount ? '⭐' : '☆';
+            }
+
+            const card = document.createElement('div');
+            card.className = 'level-card custom-level-card';
+            card.innerHTML = `
+                <div class="level-name"></div>
+                <div class="level-pack"></div>
+                <div class="level-stars">${starsHtml}</div>
+                <button class="btn-timeline" title="Als Datei exportieren">📤</button>
+            `;
+            // User provided text
+            card.querySelector('.level-name').textContent = level.name;
+            card.querySelector('.level-pack').textContent = level.pack
+                ? [level.pack.name, level.pack.author].filter(Boolean).join(' · ')
+                : 'Eigenes Level';
+
+            card.addEventListener('click', () => this.startLevel(level.id));
+            card.querySelector('button').addEventListener('click', (e) => {
+                e.stopPropagation();
+                downloadLevelPack(createLevelPack([level], { name: level.name, author: this.getPackAuthor() }));
+            });
+
+            grid.appendChild(card);
+        });
+
+        if (levels.length === 0) {
+            grid.innerHTML = '<p class="editor-hint">Noch keine eigenen Level – baue welche im Level Editor oder importiere ein Paket.</p>';
+        }
+
+        const exportBtn = document.getElementById('exportLevelPack');
+        if (exportBtn) exportBtn.disabled = levels.length === 0;
+    }
+
+    getPackAuthor() {
+        const authorInput = document.getElementById('packAuthor');
+        return authorInput ? authorInput.value.trim() : '';
+    }
+
+    exportLevelPack() {
+        const levels = this.storage.loadCustomLevels();
+        if (levels.length === 0) return;
+
+        const nameInput = document.getElementById('packName');
+        const name = (nameInput && nameInput.value.trim()) || 'Meine Level';
+        downloadLevelPack(createLevelPack(levels, { name, author: this.getPackAuthor() }));
+    }
+
+    importLevelPack(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { pack, errors, warnings } = parseLevelPack(reader.result);
+
+            const status = document.getElementById('customLevelsStatus');
+            if (status) status.innerHTML = '';
+            const report = (text, className = '') => {
+                if (!status) return;
+                const line = document.createElement('div');
+                line.textContent = text;
+                line.className = className;
+                status.appendChild(line);
+            };
+
+            if (!pack) {
+                report(`"${file.name}" nicht importiert:`, 'error');
+                errors.forEach(message => report(message, 'error'));
+                return;
+            }
+
+            const imported = this.storage.importCustomLevels(pack.levels, pack);
+            report(`${imported.length} Level aus "${pack.name}" importiert`);
+            warnings.forEach(message => report(message, 'warning'));
+            this.renderCustomLevels();
+        };
+        reader.onerror = () => {
+            const status = document.getElementById('customLevelsStatus');
+            if (status) status.textContent = `"${file.name}" konnte nicht gelesen werden`;
+        };
+        reader.readAsText(file);
+    }
+
+    startLevelEditor() {
+        this.initializeSimulator();
+
+        document.getElementById('homeScreen').classList.remove('active');
+        document.getElementById('simulatorScreen').classList.add('active');
+
+        this.currentScreen = 'editor';
+
+        // The editor takes over canvas clicks and the left panel slot
+        const reach = this.robotSimulator.reachController;
+        if (reach && reach.enabled) {
+            this.toggleReachMode();
+        }
+        this.closeSidePanels();
+
+        this.robotSimulator.clearObjects();
+        this.robotSimulator.levelEditor.setEnabled(true);
+        this.setEditorTool('select');
+
+        const panel = document.getElementById('levelEditorPanel');
+        if (panel) panel.classList.add('open');
+        this.refreshEditorLevelList();
+    }
+
+    // Built-in levels come from levelData.js, custom levels live in Storage
+    findLevel(levelId) {
+        return getLevelById(levelId) || this.storage.loadCustomLevels().find(l => l.id === levelId);
+    }
+
     startLevel(levelId) {
         this.initializeSimulator();
+        this.currentLevelId = levelId;
+        this.hudState = { targetsFilled: 0, timeWarned: false };
+        if (this.modal) this.modal.close(null);
 
-        // Load the level
-        // Load the level
-        if (this.robotSimulator.levelManager) {
-            this.robotSimulator.levelManager.loadLevel(levelId);
+        const level = this.findLevel(levelId);
+        if (this.robotSimulator.levelManager && level) {
+            this.robotSimulator.levelManager.loadLevel(level);
         }
 
         // Transition screens
@@ -211,15 +797,37 @@ class App {
 
         this.currentScreen = 'level';
 
-        // Show Instruction
-        if (this.robotSimulator.levelManager && this.robotSimulator.levelManager.currentLevel) {
-            const level = this.robotSimulator.levelManager.currentLevel;
-            if (level.instruction) {
-                setTimeout(() => {
-                    alert(level.instruction);
-                }, 500);
-            }
-        }
+        if (level) this.showLevelBriefing(level);
+    }
+
+    // Task, instructions and limits before the clock starts
+    showLevelBriefing(level) {
+        if (!this.modal) return;
+
+        const details = [];
+        details.push({ label: 'Ziele', value: String(level.targets.length) });
+        if (level.timeLimit) details.push({ label: 'Zeitlimit', value: formatClock(level.timeLimit) });
+        if (level.moveLimit) details.push({ label: 'Züge', value: `höchstens ${level.moveLimit}` });
+        if (level.hint) details.push({ label: 'Tipp', value: level.hint });
+
+        const message = [level.description, level.instruction].filter(Boolean).join('\n\n');
+
+        // Level time is simulated time - hold it until the player is ready
+        this.robotSimulator.pauseSimulation();
+        this.updateSimulationControls();
+
+        const simulator = this.robotSimulator;
+        this.modal.open({
+            title: level.name,
+            message,
+            details,
+            buttons: [{ label: "▶ Los geht's", value: 'start', primary: true }],
+            dismissValue: 'start'
+        }).then(choice => {
+            if (choice !== 'start' || simulator !== this.robotSimulator) return;
+            simulator.resumeSimulation();
+            this.updateSimulationControls();
+        });
     }
 
     initializeSimulator() {
@@ -227,7 +835,21 @@ class App {
         if (!this.robotSimulator) {
             this.robotSimulator = new RobotArmSimulator();
             this.robotSimulator.init();
+
+            const speedSlider = document.getElementById('animationSpeed');
+            if (speedSlider) {
+                this.robotSimulator.animationSystem.speed = parseFloat(speedSlider.value);
+            }
+
+            this.startHudUpdate();
+            this.updateSimulationControls();
+
+            const teleopEnabled = document.getElementById('teleopEnabled');
+            if (teleopEnabled && this.robotSimulator.teleop) {
+                this.robotSimulator.teleop.setEnabled(teleopEnabled.checked);
+            }
         }
+        this.updateTimelineUI();
     }
 
     showHome() {
@@ -251,6 +873,24 @@ class App {
             this.robotSimulator.dispose();
             this.robotSimulator = null;
         }
+
+        if (this.modal) this.modal.close(null);
+
+        const editorPanel = document.getElementById('levelEditorPanel');
+        if (editorPanel) editorPanel.classList.remove('open');
+        this.closeSidePanels();
+        const sceneBtn = document.getElementById('toggleScenePanel');
+        if (sceneBtn) sceneBtn.hidden = true;
+        const editorTestBtn = document.getElementById('editorTest');
+        if (editorTestBtn) editorTestBtn.textContent = '▶ Testen';
+
+        ['toggleReachMode', 'toggleTrail', 'toggleWorkspace', 'togglePreviewMode'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.classList.remove('active');
+        });
+        this.updateMotionPreview(null);
+        this.updateSimulationControls();
+        this.updateScriptControls({ state: 'idle', line: null });
     }
 
     resetRobotPosition() {
@@ -260,97 +900,1253 @@ class App {
         }
     }
 
-    updateSliders() {
-        // Reset all slider values in UI
-        const sliders = [
-            { id: 'baseRotation', valueId: 'baseValue' },
-            { id: 'shoulder', valueId: 'shoulderValue' },
-            { id: 'elbow', valueId: 'elbowValue' },
-            { id: 'wristPitch', valueId: 'wristPitchValue' },
-            { id: 'wristRoll', valueId: 'wristRollValue' },
-            { id: 'gripper', valueId: 'gripperValue' }
-        ];
+    toggleSimulationPause() {
+        if (!this.robotSimulator) return;
 
-        sliders.forEach(slider => {
-            const element = document.getElementById(slider.id);
-            const valueDisplay = document.getElementById(slider.valueId);
+        const clock = this.robotSimulator.clock;
+        if (clock.paused) {
+            this.robotSimulator.resumeSimulation();
+        } else {
+            this.robotSimulator.pauseSimulation();
+        }
+        this.updateSimulationControls();
+    }
 
-            if (element && valueDisplay) {
-                element.value = 0;
-                valueDisplay.textContent = '0°';
-            }
-        });
+    cycleSimulationSpeed() {
+        if (!this.robotSimulator) return;
+
+        const speeds = [1, 2, 4];
+        const current = speeds.indexOf(this.robotSimulator.clock.timeScale);
+        this.robotSimulator.setSimulationSpeed(speeds[(current + 1) % speeds.length]);
+        this.updateSimulationControls();
     }
 
-    spawnObject(type) {
-        if (this.robotSimulator && this.robotSimulator.objectManager) {
-            // Get coordinates from inputs
-            const xInput = document.getElementById('spawnX');
-            const yInput = document.getElementById('spawnY');
-            const zInput = document.getElementById('spawnZ');
+    updateSimulationControls() {
+        const clock = this.robotSimulator ? this.robotSimulator.clock : null;
 
-            let x = 2;
-            let y = 0.2;
-            let z = 0;
+        const pauseBtn = document.getElementById('simPause');
+        if (pauseBtn) pauseBtn.textContent = clock && clock.paused ? '▶' : '⏸';
 
-            if (xInput && yInput && zInput) {
-                x = parseFloat(xInput.value) || 2;
-                y = parseFloat(yInput.value) || 0.2;
-                z = parseFloat(zInput.value) || 0;
-            } else {
-                // Fallback to random if inputs missing
-                x = (Math.random() - 0.5) * 4;
-                z = (Math.random() - 0.5) * 4;
-            }
+        const stepBtn = document.getElementById('simStep');
+        if (stepBtn) stepBtn.disabled = !clock || !clock.paused;
 
-            // Random color from theme
-            const colors = ['#ff6b35', '#ff4757', '#ffa502', '#ff6348'];
-            const color = colors[Math.floor(Math.random() * colors.length)];
+        const speedBtn = document.getElementById('simSpeed');
+        if (speedBtn) speedBtn.textContent = (clock ? clock.timeScale : 1) + 'x';
+    }
 
-            this.robotSimulator.objectManager.spawnObject(
-                type,
-                new THREE.Vector3(x, y, z),
-                color,
-                0.3
-            );
+    toggleReachMode() {
+        if (!this.robotSimulator || !this.robotSimulator.reachController) return;
+        if (this.currentScreen === 'editor') return; // Canvas clicks place level elements
+
+        const reach = this.robotSimulator.reachController;
+        reach.setEnabled(!reach.enabled);
+
+        const reachBtn = document.getElementById('toggleReachMode');
+        if (reachBtn) {
+            reachBtn.classList.toggle('active', reach.enabled);
         }
     }
 
-    clearAllObjects() {
-        if (this.robotSimulator) {
-            this.robotSimulator.clearObjects();
+    togglePreviewMode() {
+        if (!this.robotSimulator) return;
+
+        const enabled = !this.robotSimulator.previewEnabled;
+        this.robotSimulator.setPreviewEnabled(enabled);
+        if (!enabled) this.updateSliders();
+
+        const previewBtn = document.getElementById('togglePreviewMode');
+        if (previewBtn) {
+            previewBtn.classList.toggle('active', enabled);
         }
     }
 
-    // Animation control methods
-    recordKeyframe() {
-        if (this.robotSimulator && this.robotSimulator.animationSystem) {
-            const currentTime = this.robotSimulator.animationSystem.currentTime;
-            const angles = { ...this.robotSimulator.angles };
+    // Execute/discard buttons and the verdict for the pending motion (null: none pending)
+    updateMotionPreview(preview) {
+        const actions = document.getElementById('previewActions');
+        if (actions) actions.hidden = !preview;
 
-            this.robotSimulator.animationSystem.addKeyframe(currentTime, angles);
-            this.updateTimelineUI();
+        const executeBtn = document.getElementById('previewExecute');
+        if (executeBtn) executeBtn.disabled = !!preview && !preview.reachable;
 
-            console.log(`Keyframe recorded at ${currentTime.toFixed(2)}s`);
+        const status = document.getElementById('previewStatus');
+        if (!status) return;
+
+        status.hidden = !preview;
+        if (!preview) return;
+
+        if (!preview.reachable) {
+            status.textContent = `❌ ${preview.reason}`;
+        } else if (preview.colliding) {
+            status.textContent = '🟥 Zielstellung kollidiert';
+        } else if (preview.pathColliding) {
+            status.textContent = '🟥 Kollision unterwegs (rote Bahnabschnitte)';
+        } else {
+            status.textContent = '✅ Bewegung frei';
         }
     }
 
-    // Seek animation logic
-    seekAnimation(time) {
-        if (this.robotSimulator && this.robotSimulator.animationSystem) {
-            this.robotSimulator.animationSystem.currentTime = time;
+    toggleScriptPanel() {
+        const panel = document.getElementById('scriptPanel');
+        if (!panel) return;
 
-            // Update robot pose immediately
-            const angles = this.robotSimulator.animationSystem.update();
-            if (angles) {
-                this.robotSimulator.updateJoints(angles);
-            }
-            this.updateTimelineUI();
+        const open = panel.classList.toggle('open');
+        const toggleBtn = document.getElementById('toggleScriptPanel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', open);
+        }
+        if (open) this.closeSidePanels('scriptPanel');
+    }
+
+    // Only one panel at a time in the shared slot
+    closeSidePanels(except = null) {
+        SIDE_PANELS.forEach(([panelId, buttonId]) => {
+            if (panelId === except) return;
+            const panel = document.getElementById(panelId);
+            if (panel) panel.classList.remove('open');
+            const button = document.getElementById(buttonId);
+            if (button) button.classList.remove('active');
+        });
+
+        if (except !== 'posePanel') this.pinPose(null);
+    }
+
+    // Sandbox scenes are a manual mode feature (levels bring their own scene)
+    toggleScenePanel() {
+        const panel = document.getElementById('scenePanel');
+        if (!panel || this.currentScreen !== 'manual') return;
+
+        const open = panel.classList.toggle('open');
+        const toggleBtn = document.getElementById('toggleScenePanel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', open);
+        }
+
+        if (open) {
+            this.closeSidePanels('scenePanel');
+            this.renderSceneList();
+        }
+    }
+
+    toggleTeleopPanel() {
+        const panel = document.getElementById('teleopPanel');
+        if (!panel) return;
+
+        const open = panel.classList.toggle('open');
+        const toggleBtn = document.getElementById('toggleTeleopPanel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', open);
+        }
+        if (open) {
+            this.closeSidePanels('teleopPanel');
+            const teleop = this.getTeleop();
+            if (teleop) this.updateTeleopPanel(teleop.getStatus());
+        } else {
+            const teleop = this.getTeleop();
+            if (teleop && teleop.rebind) teleop.cancelRebind();
+        }
+    }
+
+    togglePendantPanel() {
+        const panel = document.getElementById('pendantPanel');
+        if (!panel) return;
+
+        const open = panel.classList.toggle('open');
+        const toggleBtn = document.getElementById('togglePendantPanel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', open);
+        }
+
+        if (open) {
+            this.closeSidePanels('pendantPanel');
+            this.renderPointList();
+            this.updatePendantReadout();
+        } else {
+            this.stopPendantJog();
+        }
+    }
+
+    setPendantFrame(frame) {
+        this.stopPendantJog();
+        this.pendantFrame = frame;
+
+        document.querySelectorAll('#pendantFrames [data-frame]').forEach(button => {
+            button.classList.toggle('active', button.dataset.frame === frame);
+        });
+        this.renderPendantJog();
+    }
+
+    // Hold-to-jog rows: [−] axis [+]
+    renderPendantJog() {
+        const container = document.getElementById('pendantJog');
+        if (!container) return;
+
+        container.innerHTML = '';
+        PENDANT_AXES[this.pendantFrame].forEach(([axis, label]) => {
+            const jogButton = (direction) => {
+                const button = document.createElement('button');
+                button.className = 'btn-timeline';
+                button.textContent = direction < 0 ? '−' : '+';
+                button.addEventListener('pointerdown', (e) => {
+                    button.setPointerCapture(e.pointerId);
+                    this.startPendantJog(axis, direction);
+                });
+                ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+                    button.addEventListener(type, () => this.stopPendantJog());
+                });
+                return button;
+            };
+
+            const name = document.createElement('span');
+            name.className = 'label-text';
+            name.textContent = label;
+            container.append(jogButton(-1), name, jogButton(1));
+        });
+    }
+
+    startPendantJog(axis, direction) {
+        const teleop = this.getTeleop();
+        if (!teleop) return;
+
+        const override = document.getElementById('pendantOverride');
+        teleop.startJog(this.pendantFrame, axis, direction, override ? parseFloat(override.value) : 0.25);
+    }
+
+    stopPendantJog() {
+        const teleop = this.getTeleop();
+        if (teleop && teleop.heldJog) teleop.stopJog();
+    }
+
+    // Current joint angles and gripper pose (called from the HUD loop while the panel is open)
+    updatePendantReadout() {
+        if (!this.robotSimulator) return;
+
+        const angles = this.robotSimulator.getJointPositions();
+        const state = this.robotSimulator.getEndEffectorState();
+
+        const joints = document.getElementById('pendantJoints');
+        if (joints) {
+            joints.textContent = PENDANT_AXES.joint.map(([name]) => Math.round(angles[name]) + '°').join(' / ');
+        }
+        const position = document.getElementById('pendantPosition');
+        if (position) {
+            position.textContent = state.position.map(v => v.toFixed(2)).join(' / ');
+        }
+        const orientation = document.getElementById('pendantOrientation');
+        if (orientation) {
+            const { roll, pitch, yaw } = state.orientation;
+            orientation.textContent = [roll, pitch, yaw].map(v => Math.round(v) + '°').join(' / ');
+        }
+    }
+
+    renderPointList() {
+        const list = document.getElementById('pendantPointList');
+        if (!list) return;
+
+        const points = this.storage.loadTeachPoints();
+        list.innerHTML = '';
+
+        points.forEach(point => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.innerHTML = `
+                <div class="scene-info">
+                    <span class="scene-name"></span>
+                    <span class="scene-meta"></span>
+                </div>
+                <button class="btn-timeline" data-action="ptp" title="Gelenkinterpoliert anfahren (MOVJ)">⤳</button>
+                <button class="btn-timeline" data-action="lin" title="Auf einer Geraden anfahren (MOVL)">↗</button>
+                <button class="btn-timeline" data-action="keyframe" title="Als Keyframe an der Abspielposition einfügen">🎬</button>
+                <button class="btn-timeline" data-action="delete" title="Löschen">🗑️</button>
+            `;
+            item.querySelector('.scene-name').textContent = point.name;
+            item.querySelector('.scene-meta').textContent = point.position.map(v => v.toFixed(2)).join(' / ');
+
+            item.querySelector('[data-action="ptp"]').addEventListener('click', () => this.moveToPoint(point.name, false));
+            item.querySelector('[data-action="lin"]').addEventListener('click', () => this.moveToPoint(point.name, true));
+            item.querySelector('[data-action="keyframe"]').addEventListener('click', () => this.addPointKeyframe(point));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deletePoint(point.name));
+
+            list.appendChild(item);
+        });
+
+        if (points.length === 0) {
+            list.innerHTML = '<li class="editor-hint">Noch keine Punkte geteacht.</li>';
+        }
+    }
+
+    teachPoint() {
+        const nameInput = document.getElementById('pendantPointName');
+        if (!this.robotSimulator || !nameInput) return;
+
+        const name = nameInput.value.trim();
+        if (!isValidPointName(name)) {
+            if (this.toast) {
+                this.toast.show('Punktname: Buchstabe oder _ am Anfang, dann Buchstaben, Ziffern oder _', { type: 'warning' });
+            }
+            nameInput.focus();
+            return;
+        }
+
+        // Pose now, not after the overwrite question
+        const sim = this.robotSimulator;
+        const angles = sim.getJointPositions();
+        const teach = () => {
+            sim.teachPoint(name, angles);
+            // Keyframes referencing the point follow the new pose
+            sim.animationSystem.resolvePoints(this.storage.loadTeachPoints());
+            nameInput.value = '';
+            this.renderPointList();
+            if (this.toast) this.toast.show(`Punkt "${name}" geteacht`, { type: 'success' });
+        };
+
+        const exists = this.storage.loadTeachPoints().some(point => point.name === name);
+        if (!exists || !this.modal) {
+            teach();
+            return;
+        }
+
+        this.modal.confirm('Punkt überschreiben?', `Der Punkt "${name}" wird durch die aktuelle Armstellung ersetzt. Programme und Keyframes mit diesem Punkt fahren dann die neue Stellung an.`, 'Überschreiben')
+            .then(confirmed => {
+                if (confirmed) teach();
+            });
+    }
+
+    moveToPoint(name, linear) {
+        if (!this.robotSimulator) return;
+
+        const result = this.robotSimulator.moveToPoint(name, { linear });
+        if (!result.reachable && this.toast) {
+            this.toast.show(result.reason, { type: 'warning' });
+        }
+    }
+
+    addPointKeyframe(point) {
+        const sim = this.robotSimulator;
+        if (!sim || !sim.animationSystem) return;
+
+        // The point fixes the arm; the gripper keeps its current opening
+        const currentTime = sim.animationSystem.currentTime;
+        const angles = { ...sim.getJointTargets(), ...point.angles };
+        sim.animationSystem.addKeyframe(currentTime, angles, point.name);
+        sim.animationSystem.currentTime = currentTime + 1;
+        this.updateTimelineUI();
+
+        if (this.toast) this.toast.show(`Keyframe "${point.name}" bei ${currentTime.toFixed(2)}s`);
+    }
+
+    deletePoint(name) {
+        if (!this.modal) return;
+
+        this.modal.confirm('Punkt löschen?', `Der Punkt "${name}" wird gelöscht. Programme, die ihn verwenden, starten dann nicht mehr.`, '🗑️ Löschen')
+            .then(confirmed => {
+                if (!confirmed) return;
+                this.storage.deleteTeachPoint(name);
+                this.renderPointList();
+                if (this.toast) this.toast.show(`Punkt "${name}" gelöscht`);
+            });
+    }
+
+    togglePosePanel() {
+        const panel = document.getElementById('posePanel');
+        if (!panel) return;
+
+        const open = panel.classList.toggle('open');
+        const toggleBtn = document.getElementById('togglePosePanel');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', open);
+        }
+
+        if (open) {
+            this.closeSidePanels('posePanel');
+            this.renderPoseList();
+        } else {
+            this.pinPose(null);
+        }
+    }
+
+    renderPoseList() {
+        const list = document.getElementById('poseList');
+        if (!list || !this.robotSimulator) return;
+
+        const poses = this.robotSimulator.getPoses();
+        list.innerHTML = '';
+
+        poses.forEach(pose => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.dataset.pose = pose.name;
+            item.innerHTML = `
+                <div class="scene-info">
+                    <span class="scene-name"></span>
+                    <span class="scene-meta"></span>
+                </div>
+                <button class="btn-timeline" data-action="pin" title="Vorschau ein-/ausblenden">👁</button>
+                <button class="btn-timeline" data-action="move" title="Pose anfahren">▶</button>
+                <button class="btn-timeline" data-action="delete" title="Löschen">🗑️</button>
+            `;
+            item.querySelector('.scene-name').textContent = pose.name;
+            const { gripper, ...arm } = pose.angles;
+            item.querySelector('.scene-meta').textContent = pose.builtIn
+                ? 'Eingebaut'
+                : `${Object.values(arm).map(v => Math.round(v) + '°').join(' / ')} · Greifer ${Math.round(gripper)}°`;
+
+            const pinBtn = item.querySelector('[data-action="pin"]');
+            pinBtn.classList.toggle('active', this.pinnedPose === pose.name);
+            pinBtn.addEventListener('click', () => this.pinPose(this.pinnedPose === pose.name ? null : pose.name));
+            item.querySelector('[data-action="move"]').addEventListener('click', () => this.moveToPose(pose.name));
+
+            const deleteBtn = item.querySelector('[data-action="delete"]');
+            deleteBtn.disabled = !!pose.builtIn;
+            deleteBtn.addEventListener('click', () => this.deletePose(pose.name));
+
+            // Hover preview, falls back to the pinned pose
+            item.addEventListener('mouseenter', () => this.robotSimulator && this.robotSimulator.previewPose(pose.name));
+            item.addEventListener('mouseleave', () => this.robotSimulator && this.robotSimulator.previewPose(this.pinnedPose));
+
+            list.appendChild(item);
+        });
+    }
+
+    pinPose(name) {
+        this.pinnedPose = name;
+        if (this.robotSimulator) this.robotSimulator.previewPose(name);
+
+        document.querySelectorAll('#poseList .scene-item').forEach(item => {
+            item.querySelector('[data-action="pin"]').classList.toggle('active', item.dataset.pose === name);
+        });
+    }
+
+    savePose() {
+        const nameInput = document.getElementById('poseName');
+        if (!this.robotSimulator || !nameInput) return;
+
+        const name = nameInput.value.trim();
+        if (!name) {
+            if (this.toast) this.toast.show('Bitte einen Namen für die Pose eingeben', { type: 'warning' });
+            nameInput.focus();
+            return;
+        }
+        if (isBuiltInPose(name)) {
+            if (this.toast) this.toast.show(`"${name}" ist eine eingebaute Pose`, { type: 'warning' });
+            return;
+        }
+
+        const sim = this.robotSimulator;
+        const angles = sim.getJointPositions();
+        const save = () => {
+            sim.savePose(name, angles);
+            nameInput.value = '';
+            this.renderPoseList();
+            if (this.toast) this.toast.show(`Pose "${name}" gespeichert`, { type: 'success' });
+        };
+
+        const exists = this.storage.loadPoses().some(pose => pose.name === name);
+        if (!exists || !this.modal) {
+            save();
+            return;
+        }
+
+        this.modal.confirm('Pose überschreiben?', `Die Pose "${name}" wird durch die aktuelle Gelenkstellung ersetzt.`, 'Überschreiben')
+            .then(confirmed => {
+                if (confirmed) save();
+            });
+    }
+
+    moveToPose(name) {
+        if (this.robotSimulator) this.robotSimulator.moveToPose(name);
+    }
+
+    deletePose(name) {
+        if (!this.modal) return;
+
+        this.modal.confirm('Pose löschen?', `Die Pose "${name}" wird gelöscht.`, '🗑️ Löschen')
+            .then(confirmed => {
+                if (!confirmed) return;
+                this.storage.deletePose(name);
+                if (this.pinnedPose === name) this.pinPose(null);
+                this.renderPoseList();
+                if (this.toast) this.toast.show(`Pose "${name}" gelöscht`);
+            });
+    }
+
+    exportPoses() {
+        const poses = this.storage.loadPoses();
+        if (poses.length === 0) {
+            if (this.toast) this.toast.show('Noch keine eigenen Posen gespeichert', { type: 'warning' });
+            return;
+        }
+        downloadPoseFile(createPoseFile(poses));
+    }
+
+    importPoses(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { poses, errors } = parsePoseFile(reader.result);
+
+            if (poses && poses.length > 0) {
+                this.storage.importPoses(poses);
+                this.renderPoseList();
+            }
+
+            const imported = poses ? poses.length : 0;
+            if (this.modal && errors.length > 0) {
+                this.modal.open({
+                    title: imported > 0 ? `${imported} Posen importiert` : 'Keine Posen importiert',
+                    message: errors.join('\n')
+                });
+            } else if (this.toast) {
+                this.toast.show(`${imported} Posen importiert`, { type: imported > 0 ? 'success' : 'warning' });
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    getTeleop() {
+        return this.robotSimulator ? this.robotSimulator.teleop : null;
+    }
+
+    updateTeleopPanel(status) {
+        const gamepad = document.getElementById('teleopGamepad');
+        if (gamepad) {
+            const connected = String(!!status.gamepad);
+            if (gamepad.dataset.connected && gamepad.dataset.connected !== connected && this.toast) {
+                this.toast.show(status.gamepad ? '🎮 Controller verbunden' : '🎮 Controller getrennt',
+                    { type: status.gamepad ? 'success' : 'warning' });
+            }
+            gamepad.dataset.connected = connected;
+            gamepad.textContent = status.gamepad || 'nicht verbunden';
+            gamepad.title = status.gamepad || '';
+        }
+
+        const mode = document.getElementById('teleopMode');
+        if (mode) mode.value = status.mode;
+        const enabled = document.getElementById('teleopEnabled');
+        if (enabled) enabled.checked = status.enabled;
+
+        const panel = document.getElementById('teleopPanel');
+        if (panel && panel.classList.contains('open')) {
+            this.renderTeleopBindings(status);
+        }
+    }
+
+    // Binding table: one row per action, jog actions with a key for each direction
+    renderTeleopBindings(status) {
+        const container = document.getElementById('teleopBindings');
+        const teleop = this.getTeleop();
+        if (!container || !teleop) return;
+
+        const mapping = teleop.getMapping();
+        const rebind = status.rebind;
+        container.innerHTML = '';
+
+        const heading = (text) => {
+            const h = document.createElement('h4');
+            h.className = 'toolbar-title';
+            h.textContent = text;
+            container.appendChild(h);
+        };
+
+        const bindButton = (device, group, action, slot, binding, wide = false) => {
+            const button = document.createElement('button');
+            button.className = wide ? 'btn-timeline wide' : 'btn-timeline';
+            const waiting = rebind && rebind.device === device && rebind.group === group &&
+                rebind.action === action && rebind.slot === slot;
+            button.classList.toggle('active', !!waiting);
+            button.textContent = waiting ? 'drücken…' : formatBinding(binding);
+            if (slot !== null) button.title = slot === 0 ? 'Richtung −' : 'Richtung +';
+            button.addEventListener('click', () => {
+                if (waiting) {
+                    teleop.cancelRebind();
+                } else {
+                    teleop.startRebind(device, group, action, slot);
+                }
+            });
+            container.appendChild(button);
+        };
+
+        const row = (device, group, action) => {
+            const label = document.createElement('span');
+            label.className = 'label-text';
+            label.textContent = TELEOP_LABELS[action];
+            container.appendChild(label);
+
+            const binding = mapping[device][group][action];
+            if (Array.isArray(binding) || (device === 'keyboard' && group !== 'buttons')) {
+                const pair = binding || [null, null];
+                bindButton(device, group, action, 0, pair[0]);
+                bindButton(device, group, action, 1, pair[1]);
+            } else {
+                bindButton(device, group, action, null, binding, true);
+            }
+        };
+
+        heading('Tastatur');
+        TELEOP_JOINTS.forEach(action => row('keyboard', 'joint', action));
+        TELEOP_AXES.forEach(action => row('keyboard', 'cartesian', action));
+        TELEOP_BUTTONS.forEach(action => row('keyboard', 'buttons', action));
+
+        // Stick assignments of the active mode
+        heading(status.mode === 'joint' ? 'Controller – Gelenke' : 'Controller – Greifer');
+        Object.keys(mapping.gamepad[status.mode]).forEach(action => row('gamepad', status.mode, action));
+        TELEOP_BUTTONS.forEach(action => row('gamepad', 'buttons', action));
+    }
+
+    renderSceneList() {
+        const list = document.getElementById('sceneList');
+        if (!list) return;
+
+        const scenes = this.storage.loadSandboxScenes();
+        list.innerHTML = '';
+
+        scenes.forEach(scene => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.innerHTML = `
+                <div class="scene-info">
+                    <span class="scene-name"></span>
+                    <span class="scene-meta"></span>
+                </div>
+                <button class="btn-timeline" data-action="load" title="Szene laden">📂</button>
+                <button class="btn-timeline" data-action="rename" title="Umbenennen">✏️</button>
+                <button class="btn-timeline" data-action="delete" title="Löschen">🗑️</button>
+            `;
+            // User provided text
+            item.querySelector('.scene-name').textContent = scene.name;
+            const objectCount = (scene.data.objects || []).length;
+            const created = new Date(scene.created).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+            item.querySelector('.scene-meta').textContent = `${objectCount} Objekte · ${created}`;
+
+            item.querySelector('[data-action="load"]').addEventListener('click', () => this.loadScene(scene.name));
+            item.querySelector('[data-action="rename"]').addEventListener('click', () => this.startSceneRename(item, scene.name));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteScene(scene.name));
+
+            list.appendChild(item);
+        });
+
+        if (scenes.length === 0) {
+            list.innerHTML = '<li class="editor-hint">Noch keine Szenen gespeichert.</li>';
+        }
+    }
+
+    saveScene() {
+        const nameInput = document.getElementById('sceneName');
+        if (!this.robotSimulator || !nameInput) return;
+
+        const name = nameInput.value.trim();
+        if (!name) {
+            if (this.toast) this.toast.show('Bitte einen Namen für die Szene eingeben', { type: 'warning' });
+            nameInput.focus();
+            return;
+        }
+
+        // Snapshot now, not after the overwrite question
+        const sceneData = this.robotSimulator.exportScene();
+        const save = () => {
+            this.storage.saveSandbox(name, sceneData);
+            nameInput.value = '';
+            this.renderSceneList();
+            if (this.toast) this.toast.show(`Szene "${name}" gespeichert`, { type: 'success' });
+        };
+
+        const exists = this.storage.loadSandboxScenes().some(scene => scene.name === name);
+        if (!exists || !this.modal) {
+            save();
+            return;
+        }
+        this.modal.confirm(`Szene "${name}" überschreiben?`, 'Unter diesem Namen ist schon eine Szene gespeichert.', 'Überschreiben')
+            .then(confirmed => {
+                if (confirmed) save();
+            });
+    }
+
+    loadScene(name) {
+        const scene = this.storage.loadSandboxScenes().find(s => s.name === name);
+        if (!scene || !this.robotSimulator) return;
+
+        this.robotSimulator.importScene(scene.data);
+        this.updateSliders();
+        this.updateTimelineUI();
+        if (this.toast) this.toast.show(`Szene "${name}" geladen`);
+    }
+
+    // Swap the name for a text field; Enter or leaving the field renames, Escape cancels
+    startSceneRename(item, name) {
+        const label = item.querySelector('.scene-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'editor-input';
+        input.maxLength = 40;
+        input.value = name;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+
+            const newName = input.value.trim();
+            if (commit && newName && newName !== name) {
+                if (this.storage.renameSandbox(name, newName)) {
+                    if (this.toast) this.toast.show(`Szene in "${newName}" umbenannt`);
+                } else if (this.toast) {
+                    this.toast.show(`Es gibt schon eine Szene "${newName}"`, { type: 'warning' });
+                }
+            }
+            this.renderSceneList();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    deleteScene(name) {
+        if (!this.modal) return;
+
+        this.modal.confirm(`Szene "${name}" löschen?`, 'Die gespeicherte Szene wird endgültig entfernt.', '🗑️ Löschen')
+            .then(confirmed => {
+                if (!confirmed) return;
+                this.storage.deleteSandbox(name);
+                this.renderSceneList();
+                if (this.toast) this.toast.show(`Szene "${name}" gelöscht`);
+            });
+    }
+
+    setScriptLanguage(language) {
+        const editor = document.getElementById('scriptEditor');
+        if (!editor || language === this.scriptLanguage) return;
+
+        this.stopScript();
+        this.scriptSources[this.scriptLanguage] = editor.value;
+        this.scriptLanguage = language;
+        editor.value = this.scriptSources[language] ?? '';
+
+        document.querySelectorAll('.script-help [data-language]').forEach(list => {
+            list.hidden = list.dataset.language !== language;
+        });
+
+        this.scriptErrorLines.clear();
+        this.updateScriptGutter();
+    }
+
+    // JavaScript runs in the ScriptRunner worker, robot programs in the ProgramInterpreter
+    getScriptRunner() {
+        if (!this.robotSimulator) return null;
+        return this.scriptLanguage === 'program'
+            ? this.robotSimulator.programInterpreter
+            : this.robotSimulator.scriptRunner;
+    }
+
+    runScript() {
+        const runner = this.getScriptRunner();
+        if (!runner) return;
+
+        if (runner.isRunning()) {
+            runner.resume();
+            return;
+        }
+
+        this.startScript({ stepMode: false });
+    }
+
+    stepScript() {
+        const runner = this.getScriptRunner();
+        if (!runner) return;
+
+        if (runner.isRunning()) {
+            runner.step();
+            return;
+        }
+
+        this.startScript({ stepMode: true });
+    }
+
+    startScript(options) {
+        const editor = document.getElementById('scriptEditor');
+        if (!editor) return;
+
+        const output = document.getElementById('scriptOutput');
+        if (output) output.innerHTML = '';
+        this.scriptErrorLines.clear();
+        this.updateScriptGutter();
+
+        this.getScriptRunner().run(editor.value, options);
+    }
+
+    stopScript() {
+        if (!this.robotSimulator) return;
+
+        [this.robotSimulator.scriptRunner, this.robotSimulator.programInterpreter].forEach(runner => {
+            if (runner) runner.stop();
+        });
+    }
+
+    appendScriptOutput(text, isError = false) {
+        const output = document.getElementById('scriptOutput');
+        if (!output) return;
+
+        const line = document.createElement('div');
+        line.textContent = text;
+        if (isError) line.className = 'error';
+        output.appendChild(line);
+        output.scrollTop = output.scrollHeight;
+    }
+
+    showScriptError({ message, line }) {
+        if (line) this.scriptErrorLines.add(line);
+        this.appendScriptOutput(line ? `Fehler in Zeile ${line}: ${message}` : `Fehler: ${message}`, true);
+        this.updateScriptGutter();
+    }
+
+    updateScriptControls({ state, line }) {
+        const running = state !== 'idle';
+        this.scriptCurrentLine = running ? line : null;
+
+        const runBtn = document.getElementById('scriptRun');
+        if (runBtn) {
+            runBtn.textContent = state === 'stepping' ? '▶ Weiter' : '▶ Start';
+            runBtn.disabled = state === 'running';
+        }
+
+        const stopBtn = document.getElementById('scriptStop');
+        if (stopBtn) stopBtn.disabled = !running;
+
+        const editor = document.getElementById('scriptEditor');
+        if (editor) editor.readOnly = running;
+
+        const languageSelect = document.getElementById('scriptLanguage');
+        if (languageSelect) languageSelect.disabled = running;
+
+        this.updateScriptGutter();
+    }
+
+    // Line numbers with the current (step mode) and error line highlighted
+    updateScriptGutter() {
+        const editor = document.getElementById('scriptEditor');
+        const gutter = document.getElementById('scriptGutter');
+        if (!editor || !gutter) return;
+
+        const lineCount = editor.value.split('\n').length;
+        gutter.innerHTML = '';
+        for (let i = 1; i <= lineCount; i++) {
+            const number = document.createElement('div');
+            number.textContent = i;
+            if (this.scriptErrorLines.has(i)) number.classList.add('error');
+            if (i === this.scriptCurrentLine) number.classList.add('current');
+            gutter.appendChild(number);
+        }
+        gutter.scrollTop = editor.scrollTop;
+    }
+
+    getLevelEditor() {
+        return this.robotSimulator ? this.robotSimulator.levelEditor : null;
+    }
+
+    setEditorTool(tool) {
+        const editor = this.getLevelEditor();
+        if (!editor) return;
+
+        editor.setTool(tool);
+        document.querySelectorAll('.editor-tools [data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    newEditorLevel() {
+        const editor = this.getLevelEditor();
+        if (editor) editor.newLevel();
+    }
+
+    deleteEditorItem() {
+        const editor = this.getLevelEditor();
+        if (editor) editor.removeSelected();
+    }
+
+    applyEditorSettings() {
+        const editor = this.getLevelEditor();
+        if (!editor) return;
+
+        const value = (id) => document.getElementById(id).value.trim();
+        const number = (id) => {
+            const parsed = parseFloat(value(id));
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        editor.updateLevelSettings({
+            name: value('editorName'),
+            description: value('editorDescription'),
+            hint: value('editorHint'),
+            difficulty: value('editorDifficulty'),
+            collisionPolicy: value('editorCollisionPolicy') === 'flag' ? 'flag' : '', // 'block' is the default
+            timeLimit: number('editorTimeLimit'),
+            moveLimit: number('editorMoveLimit'),
+            moveMetric: value('editorMoveMetric') === 'grabs' ? '' : value('editorMoveMetric'), // 'grabs' is the default
+            // Other star criteria of a loaded level are kept
+            stars: { ...editor.level.stars, time: [number('editorStar3'), number('editorStar2'), number('editorStar1')] }
+        });
+    }
+
+    applyEditorItem() {
+        const editor = this.getLevelEditor();
+        const selection = editor ? editor.selection : null;
+        if (!selection) return;
+
+        const value = (id) => document.getElementById(id).value;
+        const checked = (id) => document.getElementById(id).checked;
+
+        const props = {
+            position: ['X', 'Y', 'Z'].map(axis => parseFloat(value(`editorItem${axis}`)) || 0),
+            size: Math.max(0.05, parseFloat(value('editorItemSize')) || 0),
+            color: value('editorItemColor')
+        };
+
+        if (selection.kind === 'object') {
+            props.type = value('editorItemType');
+        }
+        if (selection.kind === 'target') {
+            props.accepts = [...document.querySelectorAll('#editorProperties [data-accepts]')]
+                .filter(box => box.checked)
+                .map(box => box.dataset.accepts);
+            props.requiredColor = checked('editorItemColorRequired') ? value('editorItemRequiredColor') : null;
+            props.stackable = checked('editorItemStackable');
+
+            const [supportKind, supportIndex] = value('editorItemOnTopOf').split(':');
+            props.onTopOf = supportKind ? { [supportKind]: parseInt(supportIndex, 10) } : null;
+            const order = parseInt(value('editorItemOrder'), 10);
+            props.order = Number.isInteger(order) && order > 0 ? order : null;
+            const holdTime = parseFloat(value('editorItemHoldTime'));
+            props.holdTime = holdTime > 0 ? holdTime : null;
+        }
+
+        editor.updateSelected(props);
+    }
+
+    // Fill the editor panel from the draft and show the validation result
+    updateLevelEditorForm({ level, selection }) {
+        const set = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value ?? '';
+        };
+
+        set('editorName', level.name);
+        set('editorDescription', level.description);
+        set('editorHint', level.hint);
+        set('editorDifficulty', level.difficulty);
+        set('editorCollisionPolicy', level.collisionPolicy || 'block');
+        set('editorTimeLimit', level.timeLimit);
+        set('editorMoveLimit', level.moveLimit);
+        set('editorMoveMetric', level.moveMetric || 'grabs');
+        const stars = (level.stars && level.stars.time) || [];
+        set('editorStar3', stars[0]);
+        set('editorStar2', stars[1]);
+        set('editorStar1', stars[2]);
+
+        const editor = this.getLevelEditor();
+        const item = editor ? editor.getSelectedItem() : null;
+
+        const properties = document.getElementById('editorProperties');
+        const placeHint = document.getElementById('editorPlaceHint');
+        if (properties) properties.hidden = !item;
+        if (placeHint) placeHint.hidden = !!item;
+
+        if (item && properties) {
+            properties.querySelectorAll('[data-kind]').forEach(element => {
+                element.hidden = element.dataset.kind !== selection.kind;
+            });
+
+            set('editorItemType', item.type);
+            ['X', 'Y', 'Z'].forEach((axis, i) => set(`editorItem${axis}`, item.position[i]));
+            set('editorItemSize', item.size);
+            set('editorItemColor', item.color);
+
+            if (selection.kind === 'target') {
+                properties.querySelectorAll('[data-accepts]').forEach(box => {
+                    box.checked = item.accepts.includes(box.dataset.accepts);
+                });
+                document.getElementById('editorItemColorRequired').checked = !!item.requiredColor;
+                set('editorItemRequiredColor', item.requiredColor || item.color);
+                document.getElementById('editorItemStackable').checked = !!item.stackable;
+
+                // Support choices: the floor, every other target (stacks) and every object
+                const onTopOf = document.getElementById('editorItemOnTopOf');
+                onTopOf.innerHTML = '';
+                const addOption = (value, label) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    onTopOf.appendChild(option);
+                };
+                addOption('', 'Boden / egal');
+                level.targets.forEach((_, i) => {
+                    if (i !== selection.index) addOption(`target:${i}`, `Objekt in Ziel ${i + 1}`);
+                });
+                level.objects.forEach((obj, i) => addOption(`object:${i}`, `Objekt ${i + 1} (${obj.type})`));
+
+                const support = item.onTopOf ? Object.entries(item.onTopOf)[0] : null;
+                set('editorItemOnTopOf', support ? `${support[0]}:${support[1]}` : '');
+                set('editorItemOrder', item.order);
+                set('editorItemHoldTime', item.holdTime);
+            }
+        }
+
+        if (editor) {
+            this.showEditorValidation(editor.validate());
+        }
+    }
+
+    showEditorValidation(result) {
+        const status = document.getElementById('editorStatus');
+        if (!status) return;
+
+        status.innerHTML = '';
+        if (result.valid && result.warnings.length === 0) {
+            this.appendEditorStatus('✓ Level ist gültig und lösbar');
+        }
+        result.errors.forEach(e => this.appendEditorStatus(`${e.path}: ${e.message}`, 'error'));
+        result.warnings.forEach(w => this.appendEditorStatus(`${w.path}: ${w.message}`, 'warning'));
+    }
+
+    appendEditorStatus(text, className = '') {
+        const status = document.getElementById('editorStatus');
+        if (!status) return;
+
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.className = className;
+        status.appendChild(line);
+        status.scrollTop = status.scrollHeight;
+    }
+
+    refreshEditorLevelList(selectedId = null) {
+        const select = document.getElementById('editorSavedLevels');
+        if (!select) return;
+
+        const levels = this.storage.loadCustomLevels();
+        select.innerHTML = '';
+        levels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = level.name;
+            option.selected = level.id === selectedId;
+            select.appendChild(option);
+        });
+
+        if (levels.length === 0) {
+            const option = document.createElement('option');
+            option.textContent = 'Keine gespeicherten Level';
+            select.appendChild(option);
+        }
+        select.disabled = levels.length === 0;
+    }
+
+    saveEditorLevel() {
+        const editor = this.getLevelEditor();
+        if (!editor) return;
+
+        const result = editor.validate();
+        this.showEditorValidation(result);
+        if (!result.valid) {
+            this.appendEditorStatus(`Nicht gespeichert: ${result.errors.length} Fehler beheben`, 'error');
+            return;
+        }
+
+        const level = editor.getLevel();
+        this.storage.saveCustomLevel(level);
+        this.refreshEditorLevelList(level.id);
+        this.appendEditorStatus(`Gespeichert: ${level.name}`);
+    }
+
+    loadEditorLevel() {
+        const editor = this.getLevelEditor();
+        const select = document.getElementById('editorSavedLevels');
+        if (!editor || !select || select.disabled) return;
+
+        const id = parseInt(select.value, 10);
+        const level = this.storage.loadCustomLevels().find(l => l.id === id);
+        if (level) {
+            if (this.currentScreen === 'editorTest') this.stopEditorTest();
+            editor.setLevel(level);
+        }
+    }
+
+    deleteEditorLevel() {
+        const select = document.getElementById('editorSavedLevels');
+        if (!select || select.disabled) return;
+
+        const id = parseInt(select.value, 10);
+        const level = this.storage.loadCustomLevels().find(l => l.id === id);
+        if (!level || !this.modal) return;
+
+        this.modal.confirm(`Level "${level.name}" löschen?`, 'Das gespeicherte Level wird endgültig entfernt.', '🗑️ Löschen')
+            .then(confirmed => {
+                if (!confirmed) return;
+                this.storage.deleteCustomLevel(id);
+                this.refreshEditorLevelList();
+                if (this.toast) this.toast.show(`Level "${level.name}" gelöscht`);
+            });
+    }
+
+    // Play the draft right away; stars and times of test runs are not saved
+    toggleEditorTest() {
+        const editor = this.getLevelEditor();
+        if (!editor) return;
+
+        if (this.currentScreen === 'editorTest') {
+            this.stopEditorTest();
+            return;
+        }
+
+        const level = editor.getLevel();
+        if (level.objects.length === 0 || level.targets.length === 0) {
+            this.appendEditorStatus('Zum Testen mindestens ein Objekt und ein Ziel setzen', 'error');
+            return;
+        }
+
+        editor.setEnabled(false);
+        this.robotSimulator.levelManager.loadLevel(level, { recordProgress: false });
+        this.currentScreen = 'editorTest';
+
+        const testBtn = document.getElementById('editorTest');
+        if (testBtn) testBtn.textContent = '⏹ Test beenden';
+    }
+
+    stopEditorTest(message = null) {
+        if (!this.robotSimulator) return;
+
+        this.robotSimulator.levelManager.exitLevel();
+        this.robotSimulator.levelEditor.setEnabled(true);
+        this.currentScreen = 'editor';
+
+        const testBtn = document.getElementById('editorTest');
+        if (testBtn) testBtn.textContent = '▶ Testen';
+        if (message) this.appendEditorStatus(message);
+    }
+
+    toggleOverlay(kind) {
+        if (!this.robotSimulator || !this.robotSimulator.workspaceOverlay) return;
+
+        const overlay = this.robotSimulator.workspaceOverlay;
+        let visible;
+        if (kind === 'trail') {
+            visible = !overlay.trailVisible;
+            overlay.setTrailVisible(visible);
+        } else {
+            visible = !overlay.workspaceVisible;
+            overlay.setWorkspaceVisible(visible);
+        }
+
+        const button = document.getElementById(kind === 'trail' ? 'toggleTrail' : 'toggleWorkspace');
+        if (button) {
+            button.classList.toggle('active', visible);
+        }
+    }
+
+    updateSliders() {
+        // Sync slider values with the current joint angles
+        const sliders = [
+            { id: 'baseRotation', joint: 'base', valueId: 'baseValue' },
+            { id: 'shoulder', joint: 'shoulder', valueId: 'shoulderValue' },
+            { id: 'elbow', joint: 'elbow', valueId: 'elbowValue' },
+            { id: 'wristPitch', joint: 'wristPitch', valueId: 'wristPitchValue' },
+            { id: 'wristRoll', joint: 'wristRoll', valueId: 'wristRollValue' },
+            { id: 'gripper', joint: 'gripper', valueId: 'gripperValue' }
+        ];
+
+        // Sliders show commanded targets - the arm follows them over time
+        const angles = this.robotSimulator ? this.robotSimulator.getJointTargets() : {};
+
+        sliders.forEach(slider => {
+            const element = document.getElementById(slider.id);
+            const valueDisplay = document.getElementById(slider.valueId);
+
+            if (element && valueDisplay) {
+                const value = Math.round(angles[slider.joint] || 0);
+                element.value = value;
+                valueDisplay.textContent = value + '°';
+            }
+        });
+    }
+
+    spawnObject(type) {
+        if (this.robotSimulator && this.robotSimulator.objectManager) {
+            // Get coordinates from inputs
+            const xInput = document.getElementById('spawnX');
+            const yInput = document.getElementById('spawnY');
+            const zInput = document.getElementById('spawnZ');
+
+            let x = 2;
+            let y = 0.2;
+            let z = 0;
+
+            if (xInput && yInput && zInput) {
+                x = parseFloat(xInput.value) || 2;
+                y = parseFloat(yInput.value) || 0.2;
+                z = parseFloat(zInput.value) || 0;
+            } else {
+                // Fallback to random if inputs missing (seeded for reproducible runs)
+                x = (this.robotSimulator.random() - 0.5) * 4;
+                z = (this.robotSimulator.random() - 0.5) * 4;
+            }
+
+            // Random color from theme
+            const colors = ['#ff6b35', '#ff4757', '#ffa502', '#ff6348'];
+            const color = colors[Math.floor(this.robotSimulator.random() * colors.length)];
+
+            this.robotSimulator.objectManager.spawnObject(
+                type,
+                new THREE.Vector3(x, y, z),
+                color,
+                0.3
+            );
+        }
+    }
+
+    clearAllObjects() {
+        if (this.robotSimulator) {
+            this.robotSimulator.clearObjects();
+        }
+    }
+
+    // Animation control methods
+    recordKeyframe() {
+        if (this.robotSimulator && this.robotSimulator.animationSystem) {
+            const currentTime = this.robotSimulator.animationSystem.currentTime;
+            const angles = this.robotSimulator.getJointTargets();
+
+            this.robotSimulator.animationSystem.addKeyframe(currentTime, angles);
+
+            // Advance the playhead so the next recording creates a new keyframe
+            this.robotSimulator.animationSystem.currentTime = currentTime + 1;
+            this.updateTimelineUI();
+
+            console.log(`Keyframe recorded at ${currentTime.toFixed(2)}s`);
+        }
+    }
+
+    // Seek animation logic
+    seekAnimation(time) {
+        if (this.robotSimulator && this.robotSimulator.animationSystem) {
+            this.robotSimulator.animationSystem.currentTime = time;
+
+            // Update robot pose immediately
+            const angles = this.robotSimulator.animationSystem.update();
+            if (angles) {
+                this.robotSimulator.updateJoints(angles, { immediate: true });
+            }
+            this.updateTimelineUI();
         }
     }
 
     playAnimation() {
         if (this.robotSimulator && this.robotSimulator.animationSystem) {
+            const missing = this.robotSimulator.animationSystem.resolvePoints(this.storage.loadTeachPoints());
+            if (missing.length > 0 && this.toast) {
+                this.toast.show(`Punkt nicht mehr vorhanden: ${missing.join(', ')} – letzte Stellung wird verwendet`, { type: 'warning' });
+            }
             this.robotSimulator.animationSystem.play();
             this.startTimelineUpdate();
         }
@@ -388,6 +2184,8 @@ class App {
         if (track && !track.hasAttribute('data-listening')) {
             track.setAttribute('data-listening', 'true');
             track.addEventListener('click', (e) => {
+                if (!this.robotSimulator || !this.robotSimulator.animationSystem) return;
+
                 const rect = track.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const percent = Math.max(0, Math.min(1, x / rect.width));
@@ -411,20 +2209,35 @@ class App {
             const markerEl = document.createElement('div');
             markerEl.className = 'keyframe-marker';
             markerEl.style.left = (kf.time / duration * 100) + '%';
-            markerEl.title = `${kf.time.toFixed(2)}s`;
+            markerEl.title = kf.point ? `${kf.time.toFixed(2)}s · ${kf.point}` : `${kf.time.toFixed(2)}s`;
 
             // Click to remove keyframe - stop propagation to prevent seek
             markerEl.addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (confirm('Keyframe löschen?')) {
-                    this.robotSimulator.animationSystem.removeKeyframe(index);
-                    this.updateTimelineUI();
-                }
+                if (!this.modal) return;
+                this.modal.confirm('Keyframe löschen?', `Keyframe bei ${kf.time.toFixed(2)}s entfernen.`, '🗑️ Löschen')
+                    .then(confirmed => {
+                        if (!confirmed || !this.robotSimulator) return;
+                        this.robotSimulator.animationSystem.removeKeyframe(index);
+                        this.updateTimelineUI();
+                    });
             });
 
             container.appendChild(markerEl);
         });
 
+        // Timeline scale labels
+        const scale = document.getElementById('timelineScale');
+        if (scale) {
+            const steps = 5;
+            scale.innerHTML = '';
+            for (let i = 0; i <= steps; i++) {
+                const label = document.createElement('span');
+                label.textContent = (duration * i / steps).toFixed(duration < steps ? 1 : 0) + 's';
+                scale.appendChild(label);
+            }
+        }
+
         // Update playhead position
         if (marker) {
             const progress = this.robotSimulator.animationSystem.getProgress();
@@ -435,39 +2248,215 @@ class App {
     // Start timeline update loop
     startTimelineUpdate() {
         const updateLoop = () => {
-            if (this.robotSimulator && this.robotSimulator.animationSystem &&
-                this.robotSimulator.animationSystem.playing) {
-                this.updateTimelineUI();
+            if (!this.robotSimulator || !this.robotSimulator.animationSystem) return;
+
+            this.updateTimelineUI();
+            if (this.robotSimulator.animationSystem.playing) {
                 requestAnimationFrame(updateLoop);
             }
         };
         updateLoop();
     }
 
-    // Start timeline update loop
-    startTimelineUpdate() {
-        const updateLoop = () => {
-            if (this.robotSimulator && this.robotSimulator.animationSystem &&
-                this.robotSimulator.animationSystem.playing) {
-                this.updateTimelineUI();
-                requestAnimationFrame(updateLoop);
+    // End-effector readout
+    updateHud() {
+        if (!this.robotSimulator) return;
+
+        const state = this.robotSimulator.getEndEffectorState();
+        const fmt = (v) => v.toFixed(2);
+
+        const pendant = document.getElementById('pendantPanel');
+        if (pendant && pendant.classList.contains('open')) {
+            this.updatePendantReadout();
+        }
+
+        const position = document.getElementById('hudPosition');
+        if (position) {
+            position.textContent = state.position.map(fmt).join(' / ');
+        }
+
+        const orientation = document.getElementById('hudOrientation');
+        if (orientation) {
+            const { roll, pitch, yaw } = state.orientation;
+            orientation.textContent = [roll, pitch, yaw].map(v => Math.round(v) + '°').join(' / ');
+        }
+
+        const width = document.getElementById('hudGripperWidth');
+        if (width) {
+            width.textContent = fmt(state.gripperWidth);
+        }
+
+        const simTime = document.getElementById('simTime');
+        if (simTime) {
+            simTime.textContent = this.robotSimulator.clock.time.toFixed(2) + 's';
+        }
+
+        this.updateLevelHud();
+
+        const attached = document.getElementById('hudAttached');
+        if (attached) {
+            if (state.attachedObject) {
+                attached.innerHTML = `<span class="attached-swatch" style="background:${state.attachedObject.color}"></span>${state.attachedObject.type}`;
+            } else {
+                attached.textContent = '–';
+            }
+        }
+    }
+
+    // Countdown and target progress of the loaded level
+    updateLevelHud() {
+        const hud = document.getElementById('levelHud');
+        if (!hud) return;
+
+        const levelManager = this.robotSimulator.levelManager;
+        const info = levelManager ? levelManager.getCurrentLevelInfo() : null;
+        hud.hidden = !info;
+        if (!info) return;
+
+        const name = document.getElementById('levelHudName');
+        if (name) name.textContent = info.name;
+
+        const time = document.getElementById('levelHudTime');
+        if (time) {
+            if (info.timeLimit) {
+                const remaining = Math.max(0, info.timeLimit - info.time);
+                time.textContent = `⏱ ${formatClock(remaining)}`;
+                time.classList.toggle('warning', remaining <= 10);
+            } else {
+                time.textContent = `⏱ ${formatClock(info.time)}`;
+                time.classList.remove('warning');
+            }
+        }
+
+        const targets = document.getElementById('levelHudTargets');
+        if (targets) {
+            targets.textContent = `🎯 ${info.targetsFilled}/${info.totalTargets}`;
+        }
+
+        // Short notices for progress during the run (completion has its own dialog)
+        if (this.toast && levelManager.isActive) {
+            if (info.targetsFilled > this.hudState.targetsFilled && info.targetsFilled < info.totalTargets) {
+                this.toast.show(`🎯 Ziel belegt (${info.targetsFilled}/${info.totalTargets})`, { type: 'success' });
             }
+            if (info.timeLimit && !this.hudState.timeWarned && info.timeLimit - info.time <= 10) {
+                this.toast.show('⏱ Noch 10 Sekunden!', { type: 'warning' });
+                this.hudState.timeWarned = true;
+            }
+        }
+        this.hudState.targetsFilled = info.targetsFilled;
+
+        const moves = document.getElementById('levelHudMoves');
+        if (moves) {
+            const unit = info.moveMetric === 'travel' ? '°' : '';
+            moves.textContent = info.moveLimit
+                ? `✋ ${info.moves}/${info.moveLimit}${unit}`
+                : `✋ ${info.moves}${unit}`;
+            moves.classList.toggle('warning', !!info.moveLimit && info.moves >= info.moveLimit);
+        }
+    }
+
+    // Start HUD update loop (runs while the simulator exists)
+    startHudUpdate() {
+        const updateLoop = () => {
+            if (!this.robotSimulator) return;
+
+            this.updateHud();
+            requestAnimationFrame(updateLoop);
         };
         updateLoop();
     }
 
+    handleLevelFailure(result) {
+        const timeout = result.reason === 'timeout';
+
+        if (this.currentScreen === 'editorTest') {
+            this.stopEditorTest(timeout
+                ? `Test nicht bestanden: Zeitlimit nach ${result.time.toFixed(1)}s überschritten`
+                : 'Test nicht bestanden: Zuglimit überschritten');
+            return;
+        }
+
+        if (!this.modal) return;
+
+        const info = this.robotSimulator.levelManager.getCurrentLevelInfo();
+        const reason = timeout
+            ? `Das Zeitlimit von ${formatClock(info.timeLimit)} ist abgelaufen.`
+            : `Mehr als ${info.moveLimit} Züge gebraucht.`;
+
+        this.modal.open({
+            title: timeout ? '⏱ Zeit abgelaufen!' : '✋ Keine Züge mehr!',
+            message: `${reason} ${info.targetsFilled} von ${info.totalTargets} Zielen belegt.`,
+            buttons: [
+                { label: 'Levelauswahl', value: 'levels' },
+                { label: '🔄 Nochmal', value: 'retry', primary: true }
+            ]
+        }).then(choice => this.handleLevelDialogChoice(choice));
+    }
+
+    /**
+     * Buttons of the failure and completion dialogs
+     * @param {string|null} choice - 'retry', 'next', 'levels' or null (dialog dismissed, stay in the scene)
+     */
+    handleLevelDialogChoice(choice) {
+        if (choice === 'retry') {
+            this.restartLevel(this.currentLevelId);
+        } else if (choice === 'next') {
+            this.restartLevel(this.currentLevelId + 1);
+        } else if (choice === 'levels') {
+            this.showHome();
+            this.showLevels();
+        }
+    }
+
+    // Start a level from the simulator screen with the arm back in its home pose
+    restartLevel(levelId) {
+        // Jump home: a homing motion would count against the new attempt
+        if (this.robotSimulator) {
+            this.robotSimulator.resetPosition({ immediate: true });
+            this.updateSliders();
+        }
+        this.startLevel(levelId);
+    }
+
     handleLevelCompletion(result) {
-        // Show completion modal or alert
-        // For now simple alert and return to menu option
-        setTimeout(() => {
-            if (confirm(`Level Complete! \nTime: ${result.time.toFixed(1)}s\nStars: ${result.stars} ⭐\n\nNext Level?`)) {
-                // Return to level selection to pick next
-                this.showHome(); // Cleanup
-                this.showLevels(); // Show levels
-            } else {
-                this.showHome();
-            }
-        }, 500);
+        // Test runs from the level editor go straight back to editing
+        if (this.currentScreen === 'editorTest') {
+            this.stopEditorTest(`Test bestanden in ${result.time.toFixed(1)}s – ${result.stars} ⭐`);
+            return;
+        }
+        if (!this.modal) return;
+
+        const levelId = this.currentLevelId;
+        const level = this.findLevel(levelId);
+        const bestTime = this.storage.loadProgress().levelBestTimes[levelId];
+
+        const details = [{ label: 'Zeit', value: `${result.time.toFixed(1)}s` }];
+        if (bestTime !== undefined) {
+            details.push({
+                label: 'Bestzeit',
+                value: bestTime >= result.time ? `${bestTime.toFixed(1)}s – neuer Rekord!` : `${bestTime.toFixed(1)}s`
+            });
+        }
+        details.push({ label: 'Züge', value: String(result.moves) });
+        if (result.collisions > 0) details.push({ label: 'Kollisionen', value: String(result.collisions) });
+        if (result.drops > 0) details.push({ label: 'Fallen gelassen', value: String(result.drops) });
+
+        const buttons = [
+            { label: 'Levelauswahl', value: 'levels' },
+            { label: '🔄 Nochmal', value: 'retry' }
+        ];
+        if (this.findLevel(levelId + 1)) {
+            buttons.push({ label: '▶ Nächstes Level', value: 'next', primary: true });
+        } else {
+            buttons[0].primary = true;
+        }
+
+        this.modal.open({
+            title: `🏆 ${level ? level.name : 'Level'} geschafft!`,
+            message: '⭐'.repeat(result.stars) + '☆'.repeat(3 - result.stars),
+            details,
+            buttons
+        }).then(choice => this.handleLevelDialogChoice(choice));
     }
 }
 
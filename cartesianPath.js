@@ -0,0 +1,208 @@
+// Cartesian Path - Straight-line and circular-arc paths for the gripper center
+// Paths are sampled and resolved to joint space through IK before the motion starts,
+// so an unreachable section is reported up front instead of halfway through the move.
+
+import { solveIK } from './kinematics.js';
+
+// Joints driven by the path (the gripper opening is independent)
+const PATH_JOINTS = ['base', 'shoulder', 'elbow', 'wristPitch', 'wristRoll'];
+
+// Arc points closer than this count as the same point
+const MIN_POINT_DISTANCE = 1e-9;
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function scale(a, s) {
+    return [a[0] * s, a[1] * s, a[2] * s];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function length(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+function toArray(p) {
+    return Array.isArray(p) ? p.slice(0, 3) : [p.x, p.y, p.z];
+}
+
+/**
+ * Straight line from start to end
+ * @returns {Object} { type, length, pointAt(s) } with s the distance along the path
+ */
+export function linearPath(start, end) {
+    const a = toArray(start);
+    const b = toArray(end);
+    const dir = sub(b, a);
+    const len = length(dir);
+
+    return {
+        type: 'linear',
+        length: len,
+        pointAt: (s) => (len === 0 ? a.slice() : add(a, scale(dir, Math.max(0, Math.min(len, s)) / len)))
+    };
+}
+
+/**
+ * Circular arc from start through via to end
+ * @returns {Object} { type, length, center, radius, pointAt(s) }
+ */
+export function arcPath(start, via, end) {
+    const p1 = toArray(start);
+    const p2 = toArray(via);
+    const p3 = toArray(end);
+
+    // Coincident points pass the collinearity test below (zero vectors) but have no circle
+    if ([sub(p1, p3), sub(p1, p2), sub(p2, p3)].some(d => length(d) < MIN_POINT_DISTANCE)) {
+        throw new Error('Kreisbogen: Start-, Hilfs- und Zielpunkt müssen verschieden sein');
+    }
+
+    // Circumcenter of the three points
+    const a = sub(p1, p3);
+    const b = sub(p2, p3);
+    const axb = cross(a, b);
+    const axb2 = dot(axb, axb);
+    if (axb2 < 1e-8 * dot(a, a) * dot(b, b)) {
+        throw new Error('Kreisbogen: Start-, Hilfs- und Zielpunkt liegen auf einer Geraden');
+    }
+
+    const center = add(p3, scale(cross(sub(scale(b, dot(a, a)), scale(a, dot(b, b))), axb), 1 / (2 * axb2)));
+    const radius = length(sub(p1, center));
+
+    // Plane basis: u towards the start, w a quarter turn further in travel direction
+    const normal = cross(sub(p2, p1), sub(p3, p2));
+    const n = scale(normal, 1 / length(normal));
+    const u = scale(sub(p1, center), 1 / radius);
+    const w = cross(n, u);
+
+    const angleOf = (p) => {
+        const d = sub(p, center);
+        const angle = Math.atan2(dot(d, w), dot(d, u));
+        return angle < 0 ? angle + Math.PI * 2 : angle;
+    };
+    const sweep = angleOf(p3);
+
+    return {
+        type: 'arc',
+        length: sweep * radius,
+        center,
+        radius,
+        pointAt: (s) => {
+            const t = Math.max(0, Math.min(sweep, s / radius));
+            return add(center, add(scale(u, Math.cos(t) * radius), scale(w, Math.sin(t) * radius)));
+        }
+    };
+}
+
+/**
+ * Resolve a path to timed joint samples
+ * @param {Object} path - From linearPath / arcPath
+ * @param {Object} startAngles - Joint angles at the start of the path
+ * @param {Object} [options]
+ * @param {number} [options.speed=0.25] - Path speed in units per second
+ * @param {number} [options.acceleration=1] - Ramp up/down at the ends
+ * @param {number} [options.resolution=0.02] - Distance between IK samples
+ * @param {Object} [options.jointVelocities] - Max degrees/s per joint; slows the path where needed
+ * @returns {Object} { reachable, reason, failedAt, samples: [{ time, angles }], duration }
+ */
+export function planCartesianPath(path, startAngles, options = {}) {
+    const opts = {
+        speed: 0.25,
+        acceleration: 1,
+        resolution: 0.02,
+        maxJointStep: 15, // Degrees between samples before we call it a configuration flip
+        jointVelocities: {},
+        ...options
+    };
+
+    const count = Math.max(1, Math.ceil(path.length / opts.resolution));
+    const ds = path.length / count;
+
+    let angles = {};
+    PATH_JOINTS.forEach(joint => { angles[joint] = startAngles[joint] || 0; });
+
+    const samples = [{ time: 0, angles }];
+    let time = 0;
+
+    for (let i = 1; i <= count; i++) {
+        const s = i * ds;
+        const point = path.pointAt(s);
+        const result = solveIK(point, null, angles, { tolerance: 0.005 });
+
+        if (!result.reachable) {
+            return { reachable: false, reason: 'out_of_reach', failedAt: point, samples, duration: time };
+        }
+
+        const next = {};
+        let jointTime = 0;
+        let maxStep = 0;
+        PATH_JOINTS.forEach(joint => {
+            next[joint] = result.angles[joint];
+            const delta = Math.abs(next[joint] - angles[joint]);
+            maxStep = Math.max(maxStep, delta);
+            if (opts.jointVelocities[joint]) {
+                jointTime = Math.max(jointTime, delta / opts.jointVelocities[joint]);
+            }
+        });
+
+        if (maxStep > opts.maxJointStep) {
+            return { reachable: false, reason: 'discontinuous', failedAt: point, samples, duration: time };
+        }
+
+        // Trapezoidal speed along the path, never faster than the joints allow
+        const mid = s - ds / 2;
+        const rampSpeed = Math.sqrt(2 * opts.acceleration * Math.min(mid, path.length - mid));
+        const speed = Math.max(0.02, Math.min(opts.speed, rampSpeed));
+        time += Math.max(ds / speed, jointTime);
+
+        angles = next;
+        samples.push({ time, angles });
+    }
+
+    return { reachable: true, reason: null, failedAt: null, samples, duration: time };
+}
+
+/**
+ * Joint angles at a time along a planned path (linear between samples)
+ */
+export function sampleAnglesAt(plan, time) {
+    const samples = plan.samples;
+    if (time <= 0) return { ...samples[0].angles };
+    if (time >= plan.duration) return { ...samples[samples.length - 1].angles };
+
+    let i = 1;
+    while (i < samples.length - 1 && samples[i].time < time) i++;
+
+    const a = samples[i - 1];
+    const b = samples[i];
+    const t = (time - a.time) / (b.time - a.time || 1);
+
+    const angles = {};
+    PATH_JOINTS.forEach(joint => {
+        angles[joint] = a.angles[joint] + (b.angles[joint] - a.angles[joint]) * t;
+    });
+    return angles;
+}
+
+/**
+ * Readable message for a failed plan
+ */
+export function describePlanFailure(plan) {
+    const at = plan.failedAt ? ` bei (${plan.failedAt.map(v => v.toFixed(2)).join(', ')})` : '';
+    if (plan.reason === 'discontinuous') {
+        return `Bahn nicht stetig abfahrbar${at} (Gelenkstellung würde springen)`;
+    }
+    return `Bahn nicht erreichbar${at}`;
+}
@@ -0,0 +1,206 @@
+// Collision - Capsule colliders for the arm and checks against itself, the floor and obstacles
+// Pure math on top of kinematics.js so candidate poses can be tested before they are applied.
+
+import { forwardKinematics } from './kinematics.js';
+
+// Link capsules: segment between two FK frames + radius
+// `objects: false` marks capsules that must not push pickable objects (the fingers).
+const LINK_CAPSULES = [
+    { name: 'upperArm', from: 'shoulder', to: 'elbow', radius: 0.25, objects: true },
+    { name: 'forearm', from: 'elbow', to: 'wrist', radius: 0.15, objects: true },
+    { name: 'wrist', from: 'wrist', to: 'gripperBase', radius: 0.1, objects: true },
+    { name: 'gripper', from: 'gripperBase', to: 'tcp', radius: 0.1, objects: false }
+];
+
+// Static pedestal + turret (does not move with the joints except for rotation)
+const TURRET_CAPSULE = { name: 'turret', start: [0, 0.2, 0], end: [0, 0.5, 0], radius: 0.75, objects: false };
+
+// Link pairs that can hit each other (adjacent links always touch at their joint)
+const SELF_COLLISION_PAIRS = [
+    ['gripper', 'upperArm'],
+    ['wrist', 'upperArm'],
+    ['gripper', 'turret'],
+    ['wrist', 'turret'],
+    ['forearm', 'turret']
+];
+
+// Links checked against the floor (the turret stands on it)
+const FLOOR_LINKS = ['upperArm', 'forearm', 'wrist', 'gripper'];
+const FLOOR_TOLERANCE = 0.02;
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+function distance(a, b) {
+    const d = sub(a, b);
+    return Math.sqrt(dot(d, d));
+}
+
+/**
+ * Closest point on segment [a, b] to point p
+ */
+export function closestPointOnSegment(p, a, b) {
+    const ab = sub(b, a);
+    const len2 = dot(ab, ab);
+    if (len2 === 0) return a.slice();
+    const t = Math.max(0, Math.min(1, dot(sub(p, a), ab) / len2));
+    return lerp(a, b, t);
+}
+
+/**
+ * Shortest distance between segments [p1, q1] and [p2, q2]
+ */
+export function segmentDistance(p1, q1, p2, q2) {
+    const d1 = sub(q1, p1);
+    const d2 = sub(q2, p2);
+    const r = sub(p1, p2);
+    const a = dot(d1, d1);
+    const e = dot(d2, d2);
+    const f = dot(d2, r);
+    let s, t;
+
+    if (a <= 1e-12 && e <= 1e-12) return distance(p1, p2);
+
+    if (a <= 1e-12) {
+        s = 0;
+        t = Math.max(0, Math.min(1, f / e));
+    } else {
+        const c = dot(d1, r);
+        if (e <= 1e-12) {
+            t = 0;
+            s = Math.max(0, Math.min(1, -c / a));
+        } else {
+            const b = dot(d1, d2);
+            const denom = a * e - b * b;
+            s = denom !== 0 ? Math.max(0, Math.min(1, (b * f - c * e) / denom)) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = Math.max(0, Math.min(1, -c / a));
+            } else if (t > 1) {
+                t = 1;
+                s = Math.max(0, Math.min(1, (b - c) / a));
+            }
+        }
+    }
+
+    return distance(lerp(p1, q1, s), lerp(p2, q2, t));
+}
+
+/**
+ * Distance from point p to an axis-aligned box { center, halfSize }
+ */
+function pointBoxDistance(p, box) {
+    let sum = 0;
+    for (let i = 0; i < 3; i++) {
+        const d = Math.abs(p[i] - box.center[i]) - box.halfSize[i];
+        if (d > 0) sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+/**
+ * Approximate distance from a segment to an axis-aligned box
+ * Samples the segment and refines around the best sample.
+ */
+function segmentBoxDistance(a, b, box) {
+    const samples = 12;
+    let bestT = 0;
+    let best = Infinity;
+
+    for (let i = 0; i <= samples; i++) {
+        const t = i / samples;
+        const d = pointBoxDistance(lerp(a, b, t), box);
+        if (d < best) {
+            best = d;
+            bestT = t;
+        }
+    }
+
+    // Golden-section style refinement around the best sample
+    let lo = Math.max(0, bestT - 1 / samples);
+    let hi = Math.min(1, bestT + 1 / samples);
+    for (let i = 0; i < 12; i++) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if (pointBoxDistance(lerp(a, b, m1), box) < pointBoxDistance(lerp(a, b, m2), box)) {
+            hi = m2;
+        } else {
+            lo = m1;
+        }
+    }
+
+    return Math.min(best, pointBoxDistance(lerp(a, b, (lo + hi) / 2), box));
+}
+
+/**
+ * Capsule colliders for a joint configuration
+ * @param {Object} angles - Joint angles in degrees
+ * @returns {Array} [{ name, start: [x,y,z], end: [x,y,z], radius, objects }]
+ */
+export function getArmCapsules(angles) {
+    const frames = forwardKinematics(angles);
+
+    const capsules = LINK_CAPSULES.map(link => ({
+        name: link.name,
+        start: frames[link.from].position,
+        end: frames[link.to].position,
+        radius: link.radius,
+        objects: link.objects
+    }));
+
+    capsules.push({ ...TURRET_CAPSULE });
+    return capsules;
+}
+
+/**
+ * Find all collisions for a pose
+ * @param {Object} angles - Joint angles in degrees
+ * @param {Array} [obstacles] - Axis-aligned boxes { center: [x,y,z], halfSize: [x,y,z] }
+ * @returns {Array} [{ type: 'self'|'floor'|'obstacle', links: [...], obstacle? }]
+ */
+export function checkArmCollisions(angles, obstacles = []) {
+    const capsules = getArmCapsules(angles);
+    const byName = {};
+    capsules.forEach(c => { byName[c.name] = c; });
+
+    const collisions = [];
+
+    // Self collision
+    SELF_COLLISION_PAIRS.forEach(([nameA, nameB]) => {
+        const a = byName[nameA];
+        const b = byName[nameB];
+        if (segmentDistance(a.start, a.end, b.start, b.end) < a.radius + b.radius) {
+            collisions.push({ type: 'self', links: [nameA, nameB] });
+        }
+    });
+
+    // Floor
+    FLOOR_LINKS.forEach(name => {
+        const c = byName[name];
+        if (Math.min(c.start[1], c.end[1]) - c.radius < -FLOOR_TOLERANCE) {
+            collisions.push({ type: 'floor', links: [name] });
+        }
+    });
+
+    // Level obstacles
+    obstacles.forEach((box, index) => {
+        FLOOR_LINKS.forEach(name => {
+            const c = byName[name];
+            if (segmentBoxDistance(c.start, c.end, box) < c.radius) {
+                collisions.push({ type: 'obstacle', links: [name], obstacle: index });
+            }
+        });
+    });
+
+    return collisions;
+}
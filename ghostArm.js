@@ -0,0 +1,138 @@
+// Ghost Arm - Translucent copy of the arm that shows a joint configuration
+// and optionally the gripper path of the motion leading there (red where the arm would collide).
+// The copy is purely visual: it is not part of the collision capsules, not seen by the
+// ObjectManager (no clamping) and ignores raycasts, so picking in the scene is unaffected.
+
+import * as THREE from 'three';
+
+// Pivot groups posed by RobotArmSimulator.applyPoseToScene
+export const ARM_PARTS = [
+    'baseTurntable', 'upperArmGroup', 'elbowJoint', 'wristPitchJoint', 'wristRollGroup',
+    'wristRollJoint', 'gripperBase', 'gripperLeftFinger', 'gripperRightFinger'
+];
+
+const FREE_COLOR = 0x4fc3f7;
+const COLLISION_COLOR = 0xff0000;
+
+export class GhostArm {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.root = null;
+        this.parts = {};
+        this.angles = null; // Configuration shown, null while hidden
+
+        this.material = new THREE.MeshStandardMaterial({
+            color: FREE_COLOR,
+            emissive: FREE_COLOR,
+            emissiveIntensity: 0.3,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        });
+
+        // Swept path of the gripper center, colored per point
+        this.pathLine = null;
+    }
+
+    /**
+     * Clone the arm hierarchy (call after the arm is built)
+     */
+    init() {
+        const source = this.simulator.baseMount;
+        this.root = source.clone(true);
+
+        // Walk both trees in step to find the pivots in the copy
+        const lookup = new Map();
+        ARM_PARTS.forEach(name => {
+            if (this.simulator[name]) lookup.set(this.simulator[name], name);
+        });
+        const visit = (original, copy) => {
+            if (lookup.has(original)) this.parts[lookup.get(original)] = copy;
+            original.children.forEach((child, i) => visit(child, copy.children[i]));
+        };
+        visit(source, this.root);
+
+        this.root.traverse(node => {
+            node.castShadow = false;
+            node.receiveShadow = false;
+            node.raycast = () => {};
+            if (node.isMesh) node.material = this.material;
+        });
+
+        this.root.visible = false;
+        this.simulator.scene.add(this.root);
+
+        this.pathLine = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.9 })
+        );
+        this.pathLine.raycast = () => {};
+        this.pathLine.visible = false;
+        this.simulator.scene.add(this.pathLine);
+    }
+
+    /**
+     * Show the ghost in a configuration
+     * @param {Object} angles - Joint angles in degrees (missing joints keep the current pose)
+     * @param {Object} [options] - { colliding: red ghost, path: [{ position: [x,y,z], colliding }] }
+     */
+    show(angles, options = {}) {
+        if (!this.root) return;
+
+        this.angles = { ...this.simulator.getJointPositions(), ...angles };
+        this.simulator.applyPoseToScene(this.angles, this.parts);
+
+        const color = options.colliding ? COLLISION_COLOR : FREE_COLOR;
+        this.material.color.setHex(color);
+        this.material.emissive.setHex(color);
+        this.root.visible = true;
+
+        this.showPath(options.path || null);
+    }
+
+    showPath(path) {
+        if (!this.pathLine) return;
+
+        this.pathLine.geometry.dispose();
+        this.pathLine.geometry = new THREE.BufferGeometry();
+        this.pathLine.visible = !!path && path.length > 1;
+        if (!this.pathLine.visible) return;
+
+        const free = new THREE.Color(FREE_COLOR);
+        const hit = new THREE.Color(COLLISION_COLOR);
+        const positions = [];
+        const colors = [];
+        path.forEach(point => {
+            positions.push(...point.position);
+            colors.push(...(point.colliding ? hit : free).toArray());
+        });
+        this.pathLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.pathLine.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    }
+
+    hide() {
+        if (!this.root) return;
+
+        this.angles = null;
+        this.root.visible = false;
+        this.showPath(null);
+    }
+
+    isVisible() {
+        return this.angles !== null;
+    }
+
+    dispose() {
+        if (this.root) {
+            this.simulator.scene.remove(this.root);
+            this.root = null;
+        }
+        if (this.pathLine) {
+            this.simulator.scene.remove(this.pathLine);
+            this.pathLine.geometry.dispose();
+            this.pathLine.material.dispose();
+            this.pathLine = null;
+        }
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,381 @@
+// Kinematics - Pure math model of the robot arm (no Three.js dependency)
+//
+// Mirrors the joint hierarchy built in RobotArmSimulator.createRobotArmRedesigned:
+// baseTurntable (rot Y) -> shoulderJoint -> upperArmGroup (rot Z) -> elbowJoint (rot Z)
+// -> forearmGroup -> wristPitchJoint (rot X) -> wristRollJoint (rot Y) -> gripperBase
+
+export const JOINT_NAMES = ['base', 'shoulder', 'elbow', 'wristPitch', 'wristRoll', 'gripper'];
+
+// Joint ranges in degrees (same as the sliders in index.html)
+export const JOINT_LIMITS = {
+    base: { min: -180, max: 180 },
+    shoulder: { min: -90, max: 90 },
+    elbow: { min: -135, max: 135 },
+    wristPitch: { min: -90, max: 90 },
+    wristRoll: { min: -180, max: 180 },
+    gripper: { min: 0, max: 45 }
+};
+
+// Link offsets along the local Y axis (scene units)
+export const LINKS = {
+    turretHeight: 0.6,      // baseMount -> baseTurntable
+    shoulderHeight: 0.4,    // baseTurntable -> shoulderJoint
+    upperArm: 1.6,          // upperArmGroup -> elbowJoint
+    forearm: 1.2,           // forearmGroup -> wristPitchJoint
+    wristFlange: 0.27,      // wristRollGroup -> wristRollJoint
+    gripperBase: 0.06,      // wristRollJoint -> gripperBase
+    gripperCenter: 0.25     // gripperBase -> point between the finger tips
+};
+
+// IK tolerance for "the gripper center can get to an object or target" (objects are clamped with some play)
+export const REACH_TOLERANCE = 0.05;
+
+const DEG = Math.PI / 180;
+
+// IK solver joints (gripper opening does not affect the pose)
+const IK_JOINTS = ['base', 'shoulder', 'elbow', 'wristPitch'];
+
+/**
+ * Clamp a joint value to its limits
+ */
+export function clampJoint(joint, value) {
+    const limits = JOINT_LIMITS[joint];
+    if (!limits) return value;
+    return Math.max(limits.min, Math.min(limits.max, value));
+}
+
+// ----- Small 3x3 rotation / vector helpers (row-major) -----
+
+function rotX(a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return [1, 0, 0, 0, c, -s, 0, s, c];
+}
+
+function rotY(a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return [c, 0, s, 0, 1, 0, -s, 0, c];
+}
+
+function rotZ(a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return [c, -s, 0, s, c, 0, 0, 0, 1];
+}
+
+function mulMat(a, b) {
+    const r = new Array(9);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            r[i * 3 + j] = a[i * 3] * b[j] + a[i * 3 + 1] * b[3 + j] + a[i * 3 + 2] * b[6 + j];
+        }
+    }
+    return r;
+}
+
+// Column j of a rotation matrix = local axis j expressed in world space
+function axis(m, j) {
+    return [m[j], m[3 + j], m[6 + j]];
+}
+
+// Move a frame along its local Y axis
+function translateY(frame, distance) {
+    const y = axis(frame.rotation, 1);
+    return {
+        position: [
+            frame.position[0] + y[0] * distance,
+            frame.position[1] + y[1] * distance,
+            frame.position[2] + y[2] * distance
+        ],
+        rotation: frame.rotation
+    };
+}
+
+function rotate(frame, rotation) {
+    return { position: frame.position, rotation: mulMat(frame.rotation, rotation) };
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function length(v) {
+    return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+}
+
+function normalize(v) {
+    const len = length(v) || 1;
+    return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+function toArray(v) {
+    if (Array.isArray(v)) return v;
+    return [v.x, v.y, v.z];
+}
+
+/**
+ * Forward kinematics
+ * @param {Object} angles - Joint angles in degrees (missing joints default to 0)
+ * @returns {Object} World frames { position: [x,y,z], rotation: 3x3 row-major } per joint,
+ *                   plus `tcp` - the gripper center used by getGripperCenterPosition
+ */
+export function forwardKinematics(angles) {
+    const a = (joint) => (angles[joint] || 0) * DEG;
+
+    const origin = { position: [0, 0, 0], rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1] };
+
+    const base = rotate(translateY(origin, LINKS.turretHeight), rotY(a('base')));
+    const shoulder = rotate(translateY(base, LINKS.shoulderHeight), rotZ(a('shoulder')));
+    const elbow = rotate(translateY(shoulder, LINKS.upperArm), rotZ(a('elbow')));
+    const wrist = rotate(translateY(elbow, LINKS.forearm), rotX(a('wristPitch')));
+    const flange = rotate(translateY(wrist, LINKS.wristFlange), rotY(a('wristRoll')));
+    const gripperBase = translateY(flange, LINKS.gripperBase);
+    const tcp = translateY(gripperBase, LINKS.gripperCenter);
+
+    return { base, shoulder, elbow, wrist, flange, gripperBase, tcp };
+}
+
+/**
+ * Gripper center position for a joint configuration
+ */
+export function getTcpPosition(angles) {
+    return forwardKinematics(angles).tcp.position;
+}
+
+/**
+ * Roll/pitch/yaw in degrees from a rotation matrix
+ * Same decomposition as THREE.Euler order 'YXZ': yaw about world Y, pitch about X, roll about Z
+ */
+export function rotationToRPY(m) {
+    const clamp = (v) => Math.max(-1, Math.min(1, v));
+    const pitch = Math.asin(-clamp(m[5]));
+    let yaw, roll;
+
+    if (Math.abs(m[5]) < 0.9999999) {
+        yaw = Math.atan2(m[2], m[8]);
+        roll = Math.atan2(m[3], m[4]);
+    } else {
+        yaw = Math.atan2(-m[6], m[0]);
+        roll = 0;
+    }
+
+    return { roll: roll / DEG, pitch: pitch / DEG, yaw: yaw / DEG };
+}
+
+/**
+ * Full gripper pose for a joint configuration
+ * @returns {Object} { position: [x,y,z], approach: tool Y axis, orientation: { roll, pitch, yaw },
+ *                   rotation: tool frame as 3x3 row-major }
+ */
+export function getTcpPose(angles) {
+    const tcp = forwardKinematics(angles).tcp;
+    return {
+        position: tcp.position,
+        approach: axis(tcp.rotation, 1),
+        orientation: rotationToRPY(tcp.rotation),
+        rotation: tcp.rotation
+    };
+}
+
+// Pose error used by the solver: position (3) and optional approach direction (3)
+function poseError(angles, target, approach, orientationWeight) {
+    const tcp = forwardKinematics(angles).tcp;
+    const error = sub(target, tcp.position);
+
+    if (approach) {
+        // Rotation vector that turns the tool Y axis onto the requested approach
+        const rot = cross(axis(tcp.rotation, 1), approach);
+        error.push(rot[0] * orientationWeight, rot[1] * orientationWeight, rot[2] * orientationWeight);
+    }
+
+    return error;
+}
+
+// Solve the linear system A x = b (small dense matrices, Gaussian elimination)
+function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        const p = M[col][col];
+        if (Math.abs(p) < 1e-12) continue;
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const f = M[row][col] / p;
+            for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+        }
+    }
+
+    return M.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+}
+
+// Damped least squares iterations from one seed
+function refine(seed, target, approach, options) {
+    const angles = { ...seed };
+    const lambda = options.damping;
+    let error = poseError(angles, target, approach, options.orientationWeight);
+    let iterations = 0;
+
+    for (; iterations < options.maxIterations; iterations++) {
+        if (length(error.slice(0, 3)) < options.tolerance * 0.1 &&
+            (!approach || length(error.slice(3)) < 1e-3)) {
+            break;
+        }
+
+        // Numeric Jacobian (columns = joints, in radians)
+        const h = 1e-4;
+        const J = error.map(() => new Array(IK_JOINTS.length).fill(0));
+        IK_JOINTS.forEach((joint, j) => {
+            const probe = { ...angles, [joint]: angles[joint] + h / DEG };
+            const e2 = poseError(probe, target, approach, options.orientationWeight);
+            for (let i = 0; i < error.length; i++) {
+                J[i][j] = (error[i] - e2[i]) / h;
+            }
+        });
+
+        // dq = J^T (J J^T + lambda^2 I)^-1 e
+        const JJt = error.map((_, i) => error.map((__, k) => {
+            let sum = 0;
+            for (let j = 0; j < IK_JOINTS.length; j++) sum += J[i][j] * J[k][j];
+            return sum + (i === k ? lambda * lambda : 0);
+        }));
+        const y = solveLinear(JJt, error);
+
+        IK_JOINTS.forEach((joint, j) => {
+            let dq = 0;
+            for (let i = 0; i < error.length; i++) dq += J[i][j] * y[i];
+            // Limit step size for stability (radians)
+            dq = Math.max(-0.3, Math.min(0.3, dq));
+            angles[joint] = clampJoint(joint, angles[joint] + dq / DEG);
+        });
+
+        error = poseError(angles, target, approach, options.orientationWeight);
+    }
+
+    return { angles, error, iterations };
+}
+
+// Starting configurations: current pose plus analytic two-link guesses
+function buildSeeds(current, target) {
+    const seeds = [{ ...current }];
+
+    const shoulderY = LINKS.turretHeight + LINKS.shoulderHeight;
+    const L1 = LINKS.upperArm;
+    // With zero wrist pitch the tool extends the forearm in a straight line
+    const L2 = LINKS.forearm + LINKS.wristFlange + LINKS.gripperBase + LINKS.gripperCenter;
+
+    const horizontal = Math.hypot(target[0], target[2]);
+    const v = target[1] - shoulderY;
+
+    // Positive shoulder tilts the arm towards the turntable's local -X axis
+    const bases = [
+        { base: Math.atan2(target[2], -target[0]) / DEG, u: horizontal },
+        { base: Math.atan2(-target[2], target[0]) / DEG, u: -horizontal }
+    ];
+
+    bases.forEach(({ base, u }) => {
+        const d = Math.min(Math.hypot(u, v), L1 + L2 - 1e-6);
+        const cosElbow = (d * d - L1 * L1 - L2 * L2) / (2 * L1 * L2);
+        const elbowAbs = Math.acos(Math.max(-1, Math.min(1, cosElbow)));
+
+        [elbowAbs, -elbowAbs].forEach(elbow => {
+            // Arm angle measured from vertical, positive towards +u
+            const reach = Math.atan2(u, v) - Math.atan2(L2 * Math.sin(elbow), L1 + L2 * Math.cos(elbow));
+            seeds.push({
+                ...current,
+                base: clampJoint('base', base),
+                shoulder: clampJoint('shoulder', reach / DEG),
+                elbow: clampJoint('elbow', elbow / DEG),
+                wristPitch: 0
+            });
+        });
+    });
+
+    return seeds;
+}
+
+/**
+ * Inverse kinematics for the gripper center
+ * @param {Array|Object} position - Target world point ([x,y,z] or {x,y,z})
+ * @param {Object} [orientation] - Optional { approach: [x,y,z] tool direction, roll: degrees }
+ * @param {Object} [currentAngles] - Current joint angles, used as seed and tie-breaker
+ * @param {Object} [options] - { tolerance, maxIterations, damping, orientationWeight }
+ * @returns {Object} { reachable, angles, positionError, orientationError, reason }
+ */
+export function solveIK(position, orientation = null, currentAngles = {}, options = {}) {
+    const opts = {
+        tolerance: 0.01,
+        orientationTolerance: 5, // degrees
+        maxIterations: 80,
+        damping: 0.05,
+        orientationWeight: 0.5,
+        ...options
+    };
+
+    const target = toArray(position);
+    const approach = orientation && orientation.approach ? normalize(toArray(orientation.approach)) : null;
+
+    const current = {};
+    JOINT_NAMES.forEach(joint => {
+        current[joint] = clampJoint(joint, currentAngles[joint] || 0);
+    });
+
+    let best = null;
+    const seeds = buildSeeds(current, target);
+    for (const seed of seeds) {
+        const result = refine(seed, target, approach, opts);
+        const positionError = length(result.error.slice(0, 3));
+        const orientationError = approach
+            ? Math.asin(Math.min(1, length(result.error.slice(3)) / opts.orientationWeight)) / DEG
+            : 0;
+
+        // Joint travel from the current pose - prefer the least motion among good solutions
+        const travel = IK_JOINTS.reduce((sum, joint) => sum + Math.abs(result.angles[joint] - current[joint]), 0);
+        const cost = positionError * 1000 + orientationError + travel * 0.001;
+
+        if (!best || cost < best.cost) {
+            best = { ...result, positionError, orientationError, cost };
+        }
+
+        // Converging from the current pose means minimal motion - no need to try other seeds
+        if (seed === seeds[0] && positionError <= opts.tolerance && orientationError <= opts.orientationTolerance) {
+            break;
+        }
+    }
+
+    const angles = { ...best.angles };
+    if (orientation && typeof orientation.roll === 'number') {
+        angles.wristRoll = clampJoint('wristRoll', orientation.roll);
+    }
+
+    const positionOk = best.positionError <= opts.tolerance;
+    const orientationOk = !approach || best.orientationError <= opts.orientationTolerance;
+
+    let reason = null;
+    if (!positionOk) {
+        reason = 'out_of_reach';
+    } else if (!orientationOk) {
+        reason = 'orientation_unreachable';
+    }
+
+    return {
+        reachable: positionOk && orientationOk,
+        angles,
+        positionError: best.positionError,
+        orientationError: best.orientationError,
+        reason
+    };
+}
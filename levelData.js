@@ -1,4 +1,18 @@
 // Level Data - 10 Progressive Challenge Levels + Tutorial
+//
+// moveLimit  - The level fails when more moves are used (null = unlimited)
+// moveMetric - What counts as a move: 'grabs' (default, objects picked up), 'commands'
+//              (arm motions started from rest) or 'travel' (total joint travel in degrees)
+// stars      - Upper bounds for [3 stars, 2 stars, 1 star] per criterion: time (seconds),
+//              moves, collisions, drops (objects released away from a matching target).
+//              The worst criterion decides the rating.
+//
+// Target conditions (besides accepts / requiredColor):
+// onTopOf    - { target: i }: the object must rest on the object in targets[i] (stacks),
+//              { object: i }: it must rest on objects[i]
+// order      - Targets with a lower order must be filled first (placed in sequence, default 0)
+// holdTime   - Seconds the object has to stay in place before the target counts
+// stackable  - Target shares x/z with other stack targets on purpose
 
 export const LEVELS = [
     // Tutorial
@@ -63,18 +77,19 @@ export const LEVELS = [
     {
         id: 3,
         name: "Level 3: Präzision",
-        description: "Platziere die Kugel genau auf dem kleinen Ziel.",
+        description: "Platziere die Kugel genau auf dem kleinen Ziel – sie muss 2 Sekunden liegen bleiben.",
         difficulty: "medium",
         objects: [
             { type: 'sphere', position: [2.5, 0.2, 0], color: '#ffa502', size: 0.2 }
         ],
         targets: [
-            { position: [-2.5, 0.2, 0], size: 0.3, accepts: ['sphere'], color: '#00ff00' }
+            { position: [-2.5, 0.2, 0], size: 0.3, accepts: ['sphere'], color: '#00ff00', holdTime: 2 }
         ],
         timeLimit: 90,
         moveLimit: null,
         stars: {
-            time: [45, 65, 90]
+            time: [45, 65, 90],
+            drops: [0, 1, 2]
         }
     },
 
@@ -139,8 +154,8 @@ export const LEVELS = [
         ],
         targets: [
             { position: [-2, 0.15, 0], size: 0.5, accepts: ['cube'], color: '#00ff00', stackable: true },
-            { position: [-2, 0.45, 0], size: 0.5, accepts: ['cube'], color: '#00ff00', stackable: true },
-            { position: [-2, 0.75, 0], size: 0.5, accepts: ['cube'], color: '#00ff00', stackable: true }
+            { position: [-2, 0.45, 0], size: 0.5, accepts: ['cube'], color: '#00ff00', stackable: true, onTopOf: { target: 0 } },
+            { position: [-2, 0.75, 0], size: 0.5, accepts: ['cube'], color: '#00ff00', stackable: true, onTopOf: { target: 1 } }
         ],
         timeLimit: 300,
         moveLimit: null,
@@ -165,10 +180,12 @@ export const LEVELS = [
         targets: [
             { position: [-3, 0.15, 0], size: 0.5, accepts: ['cube'], color: '#00ff00' }
         ],
+        collisionPolicy: 'flag', // Count obstacle hits instead of blocking the arm
         timeLimit: 180,
         moveLimit: null,
         stars: {
-            time: [90, 135, 180]
+            time: [90, 135, 180],
+            collisions: [0, 2, 5]
         }
     },
 
@@ -203,6 +220,7 @@ export const LEVELS = [
         name: "Level 9: Komplexes Puzzle",
         description: "Sortiere nach Farbe UND Form in der richtigen Reihenfolge!",
         difficulty: "expert",
+        hint: "Belege die Ziele der Reihe nach von hinten (z = 2) nach vorne – ein Ziel zählt erst, wenn alle davor belegt sind.",
         objects: [
             { type: 'cube', position: [2, 0.15, 2], color: '#ff6b35', size: 0.3 },
             { type: 'sphere', position: [2, 0.2, 1], color: '#ff6b35', size: 0.2 },
@@ -211,16 +229,17 @@ export const LEVELS = [
             { type: 'cube', position: [2, 0.15, -2], color: '#ffa502', size: 0.3 }
         ],
         targets: [
-            { position: [-2, 0.15, 2], size: 0.5, accepts: ['cube'], requiredColor: '#ff6b35', color: '#ff6b35' },
-            { position: [-2, 0.2, 1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff6b35', color: '#ff6b35' },
-            { position: [-2, 0.15, 0], size: 0.5, accepts: ['cube'], requiredColor: '#ff4757', color: '#ff4757' },
-            { position: [-2, 0.2, -1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff4757', color: '#ff4757' },
-            { position: [-2, 0.15, -2], size: 0.5, accepts: ['cube'], requiredColor: '#ffa502', color: '#ffa502' }
+            { position: [-2, 0.15, 2], size: 0.5, accepts: ['cube'], requiredColor: '#ff6b35', color: '#ff6b35', order: 1 },
+            { position: [-2, 0.2, 1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff6b35', color: '#ff6b35', order: 2 },
+            { position: [-2, 0.15, 0], size: 0.5, accepts: ['cube'], requiredColor: '#ff4757', color: '#ff4757', order: 3 },
+            { position: [-2, 0.2, -1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff4757', color: '#ff4757', order: 4 },
+            { position: [-2, 0.15, -2], size: 0.5, accepts: ['cube'], requiredColor: '#ffa502', color: '#ffa502', order: 5 }
         ],
         timeLimit: 300,
-        moveLimit: null,
+        moveLimit: 8,
         stars: {
-            time: [150, 225, 300]
+            time: [150, 225, 300],
+            moves: [5, 6, 8]
         }
     },
 
@@ -231,31 +250,36 @@ export const LEVELS = [
         description: "Die ultimative Herausforderung! Zeig was du gelernt hast!",
         difficulty: "master",
         objects: [
-            { type: 'cube', position: [3, 0.15, 2], color: '#ff6b35', size: 0.3 },
+            { type: 'cube', position: [2.5, 0.15, 1.8], color: '#ff6b35', size: 0.3 },
             { type: 'sphere', position: [3, 0.2, 1], color: '#ff4757', size: 0.2 },
             { type: 'cube', position: [3, 0.15, 0], color: '#ffa502', size: 0.3 },
             { type: 'sphere', position: [3, 0.2, -1], color: '#ff6348', size: 0.2 },
-            { type: 'cube', position: [3, 0.15, -2], color: '#ff6b35', size: 0.3 },
+            { type: 'cube', position: [2.5, 0.15, -1.8], color: '#ff6b35', size: 0.3 },
             { type: 'sphere', position: [2, 0.2, 0], color: '#ff4757', size: 0.2 }
         ],
         targets: [
             // Stack cubes
             { position: [-3, 0.15, 1], size: 0.5, accepts: ['cube'], requiredColor: '#ff6b35', color: '#ff6b35', stackable: true },
-            { position: [-3, 0.45, 1], size: 0.5, accepts: ['cube'], requiredColor: '#ff6b35', color: '#ff6b35', stackable: true },
+            { position: [-3, 0.45, 1], size: 0.5, accepts: ['cube'], requiredColor: '#ff6b35', color: '#ff6b35', stackable: true, onTopOf: { target: 0 } },
             { position: [-3, 0.15, 0], size: 0.5, accepts: ['cube'], requiredColor: '#ffa502', color: '#ffa502' },
             // Spheres sorted
             { position: [-3, 0.2, -1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff4757', color: '#ff4757' },
             { position: [-2, 0.2, -1], size: 0.4, accepts: ['sphere'], requiredColor: '#ff4757', color: '#ff4757' },
-            { position: [-3, 0.2, -2], size: 0.4, accepts: ['sphere'], requiredColor: '#ff6348', color: '#ff6348' }
+            { position: [-2.5, 0.2, -1.8], size: 0.4, accepts: ['sphere'], requiredColor: '#ff6348', color: '#ff6348' }
         ],
         timeLimit: 360,
-        moveLimit: null,
+        moveLimit: 10,
         stars: {
-            time: [180, 270, 360]
+            time: [180, 270, 360],
+            moves: [6, 8, 10],
+            drops: [0, 1, 3]
         }
     }
 ];
 
+// Levels built in the level editor get ids from here on (saved in Storage, not in LEVELS)
+export const CUSTOM_LEVEL_ID_START = 1000;
+
 export function getLevelById(id) {
     return LEVELS.find(level => level.id === id);
 }
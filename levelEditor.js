@@ -0,0 +1,373 @@
+// Level Editor - Place objects, targets and obstacles in the 3D scene to build custom levels
+// The draft is kept in the levelData.js format, so it can be test-played with
+// LevelManager.loadLevel and saved to Storage unchanged.
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { validateLevel } from './levelValidator.js';
+
+const GRID = 0.05; // Positions snap to this grid
+
+// Level arrays per item kind
+const COLLECTIONS = { object: 'objects', target: 'targets', obstacle: 'obstacles' };
+
+// Properties for newly placed items (the last edited item of a kind becomes the new default)
+const DEFAULT_ITEMS = {
+    object: { type: 'cube', color: '#ff6b35', size: 0.3 },
+    target: { size: 0.5, accepts: ['cube'], color: '#00ff00' },
+    obstacle: { size: 0.5, color: '#ff0000' }
+};
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function snap(value) {
+    return Number((Math.round(value / GRID) * GRID).toFixed(2));
+}
+
+/**
+ * Height of a newly placed item: resting on the floor, targets at the center height of a cube
+ */
+function placementHeight(kind, item) {
+    return kind === 'target' ? 0.15 : item.size / 2;
+}
+
+/**
+ * Preview mesh with the same look as LevelManager / ObjectManager use in play
+ */
+function createItemMesh(kind, item) {
+    let geometry;
+    if (kind === 'target') {
+        geometry = new THREE.CylinderGeometry(item.size, item.size, 0.05, 32);
+    } else if (kind === 'obstacle' || item.type === 'cube') {
+        geometry = new THREE.BoxGeometry(item.size, item.size, item.size);
+    } else if (item.type === 'sphere') {
+        geometry = new THREE.SphereGeometry(item.size / 2, 24, 16);
+    } else {
+        geometry = new THREE.CylinderGeometry(item.size / 2, item.size / 2, item.size, 24);
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+        color: item.color,
+        transparent: kind !== 'object',
+        opacity: kind === 'target' ? 0.5 : kind === 'obstacle' ? 0.7 : 1,
+        emissive: 0xff6b35,
+        emissiveIntensity: 0
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(...item.position);
+    return mesh;
+}
+
+export class LevelEditor {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.enabled = false;
+
+        this.level = null; // Draft in the levelData.js format
+        this.tool = 'select'; // 'select' | 'object' | 'target' | 'obstacle'
+        this.selection = null; // { kind, index }
+        this.templates = clone(DEFAULT_ITEMS);
+
+        this.group = new THREE.Group();
+        this.meshes = [];
+        this.gizmo = null;
+
+        this.clickThreshold = 5; // Pixels of pointer travel still counted as a click
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.pointerDownPos = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+    }
+
+    /**
+     * Create the preview group and gizmo (call after the simulator scene exists)
+     */
+    init() {
+        const { scene, camera, renderer, controls } = this.simulator;
+
+        this.group.visible = false;
+        scene.add(this.group);
+
+        this.gizmo = new TransformControls(camera, renderer.domElement);
+        this.gizmo.setMode('translate');
+        this.gizmo.setSize(0.7);
+        this.gizmo.setTranslationSnap(GRID);
+        this.gizmo.visible = false;
+        this.gizmo.enabled = false;
+        scene.add(this.gizmo);
+
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            if (controls) controls.enabled = !e.value;
+            // Validate once the drag is finished, not on every pointer move
+            if (!e.value) this.emitChange();
+        });
+        this.gizmo.addEventListener('objectChange', () => this.onGizmoMove());
+
+        renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+        renderer.domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled && !this.level) {
+            this.newLevel();
+        }
+
+        this.group.visible = enabled;
+        this.updateGizmo();
+    }
+
+    /**
+     * Start an empty level with the next free custom level id
+     */
+    newLevel() {
+        this.setLevel({
+            id: this.simulator.storage.getNextCustomLevelId(),
+            name: 'Eigenes Level',
+            description: 'Bringe alle Objekte zu ihren Zielen.',
+            difficulty: 'easy',
+            objects: [],
+            targets: [],
+            obstacles: [],
+            timeLimit: null,
+            moveLimit: null,
+            stars: { time: [60, 90, 120] }
+        });
+    }
+
+    /**
+     * Edit a copy of an existing level
+     */
+    setLevel(level) {
+        this.level = clone(level);
+        Object.values(COLLECTIONS).forEach(key => {
+            if (!this.level[key]) this.level[key] = [];
+        });
+        delete this.level.modified;
+
+        this.selection = null;
+        this.rebuild();
+        this.emitChange();
+    }
+
+    /**
+     * The draft as a level definition (without empty optional fields)
+     */
+    getLevel() {
+        const level = clone(this.level);
+        if (level.obstacles.length === 0) delete level.obstacles;
+        return level;
+    }
+
+    /**
+     * Change level wide fields (name, timeLimit, stars, ...)
+     */
+    updateLevelSettings(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            if (value === undefined || value === '') {
+                delete this.level[key];
+            } else {
+                this.level[key] = value;
+            }
+        });
+        this.emitChange();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+    }
+
+    select(kind, index) {
+        this.selection = kind ? { kind, index } : null;
+        this.updateGizmo();
+        this.emitChange();
+    }
+
+    getSelectedItem() {
+        if (!this.selection) return null;
+        return this.level[COLLECTIONS[this.selection.kind]][this.selection.index] || null;
+    }
+
+    /**
+     * Change properties of the selected item (null removes an optional property)
+     */
+    updateSelected(props) {
+        const item = this.getSelectedItem();
+        if (!item) return;
+
+        Object.entries(props).forEach(([key, value]) => {
+            if (value === null || value === false) {
+                delete item[key];
+            } else {
+                item[key] = value;
+            }
+        });
+        item.position = item.position.map(snap);
+
+        const { position, ...template } = item;
+        this.templates[this.selection.kind] = clone(template);
+
+        this.rebuild();
+        this.emitChange();
+    }
+
+    removeSelected() {
+        if (!this.selection) return;
+
+        const { kind, index } = this.selection;
+        this.level[COLLECTIONS[kind]].splice(index, 1);
+
+        // onTopOf refers to targets/objects by index: follow the shift, drop links to the removed item
+        this.level.targets.forEach(target => {
+            if (!target.onTopOf || !(kind in target.onTopOf)) return;
+            if (target.onTopOf[kind] === index) {
+                delete target.onTopOf;
+            } else if (target.onTopOf[kind] > index) {
+                target.onTopOf = { [kind]: target.onTopOf[kind] - 1 };
+            }
+        });
+
+        this.selection = null;
+        this.rebuild();
+        this.emitChange();
+    }
+
+    /**
+     * Place a new item of a kind at a floor point and select it
+     */
+    addItem(kind, point) {
+        const template = clone(this.templates[kind]);
+        const position = [snap(point.x), snap(placementHeight(kind, template)), snap(point.z)];
+        const item = kind === 'object'
+            ? { type: template.type, position, color: template.color, size: template.size }
+            : { position, ...template };
+
+        const items = this.level[COLLECTIONS[kind]];
+        items.push(item);
+        this.rebuild();
+        this.select(kind, items.length - 1);
+    }
+
+    /**
+     * Check the draft with the level validator
+     */
+    validate() {
+        return validateLevel(this.getLevel());
+    }
+
+    // Recreate all preview meshes from the draft
+    rebuild() {
+        if (this.gizmo) this.gizmo.detach();
+
+        this.meshes.forEach(mesh => {
+            this.group.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.meshes = [];
+
+        Object.entries(COLLECTIONS).forEach(([kind, key]) => {
+            this.level[key].forEach((item, index) => {
+                const mesh = createItemMesh(kind, item);
+                mesh.userData.editorItem = { kind, index };
+                this.group.add(mesh);
+                this.meshes.push(mesh);
+            });
+        });
+
+        this.updateGizmo();
+    }
+
+    // Gizmo and highlight follow the selection
+    updateGizmo() {
+        if (!this.gizmo) return;
+
+        const selected = this.selection ? this.meshes.find(mesh =>
+            mesh.userData.editorItem.kind === this.selection.kind &&
+            mesh.userData.editorItem.index === this.selection.index) : null;
+
+        this.meshes.forEach(mesh => {
+            mesh.material.emissiveIntensity = mesh === selected ? 0.5 : 0;
+        });
+
+        if (selected && this.enabled) {
+            this.gizmo.attach(selected);
+        } else {
+            this.gizmo.detach();
+        }
+        this.gizmo.visible = !!selected && this.enabled;
+        this.gizmo.enabled = !!selected && this.enabled;
+    }
+
+    onGizmoMove() {
+        const mesh = this.gizmo.object;
+        if (!mesh) return;
+
+        if (mesh.position.y < 0) mesh.position.y = 0;
+        const { kind, index } = mesh.userData.editorItem;
+        this.level[COLLECTIONS[kind]][index].position = mesh.position.toArray().map(snap);
+    }
+
+    onPointerDown(e) {
+        this.pointerDownPos = { x: e.clientX, y: e.clientY };
+    }
+
+    onPointerUp(e) {
+        if (!this.enabled || !this.pointerDownPos) return;
+
+        // Orbit drags and gizmo drags are not clicks
+        const moved = Math.hypot(e.clientX - this.pointerDownPos.x, e.clientY - this.pointerDownPos.y);
+        this.pointerDownPos = null;
+        if (moved > this.clickThreshold || this.gizmo.dragging || this.gizmo.axis) return;
+
+        const rect = this.simulator.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.simulator.camera);
+
+        // Clicking an item selects it, clicking the floor places the current tool's item
+        const hits = this.raycaster.intersectObjects(this.meshes, false);
+        if (hits.length > 0) {
+            const { kind, index } = hits[0].object.userData.editorItem;
+            this.select(kind, index);
+            return;
+        }
+
+        const floorPoint = new THREE.Vector3();
+        if (this.tool !== 'select' && this.raycaster.ray.intersectPlane(this.floorPlane, floorPoint)) {
+            this.addItem(this.tool, floorPoint);
+        } else {
+            this.select(null);
+        }
+    }
+
+    emitChange() {
+        window.dispatchEvent(new CustomEvent('levelEditorChanged', {
+            detail: { level: this.level, selection: this.selection }
+        }));
+    }
+
+    dispose() {
+        const { renderer, scene } = this.simulator;
+        if (renderer) {
+            renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            renderer.domElement.removeEventListener('pointerup', this.onPointerUp);
+        }
+        if (this.gizmo) {
+            this.gizmo.detach();
+            this.gizmo.dispose();
+            scene.remove(this.gizmo);
+        }
+        this.meshes.forEach(mesh => {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.meshes = [];
+        scene.remove(this.group);
+    }
+}
@@ -2,11 +2,38 @@
 import * as THREE from 'three';
 import { getLevelById } from './levelData.js';
 
+// Joints whose travel counts for the 'travel' move metric (the gripper opening does not)
+const TRAVEL_JOINTS = ['base', 'shoulder', 'elbow', 'wristPitch', 'wristRoll'];
+
+// Allowed gap between two stacked objects (physics contacts are not exact)
+const STACK_TOLERANCE = 0.05;
+
+/**
+ * Object type and color fit the target
+ */
+function acceptsObject(targetData, obj) {
+    if (!targetData.accepts || !targetData.accepts.includes(obj.userData.type)) return false;
+    if (!targetData.requiredColor) return true;
+    const objColor = '#' + obj.material.color.getHexString();
+    return objColor.toLowerCase() === targetData.requiredColor.toLowerCase();
+}
+
+/**
+ * Object rests on top of another object (centered over its footprint, touching it)
+ */
+function restsOn(obj, below) {
+    const dx = obj.position.x - below.position.x;
+    const dz = obj.position.z - below.position.z;
+    const gap = obj.position.y - below.position.y - (obj.userData.size + below.userData.size) / 2;
+    return Math.hypot(dx, dz) < below.userData.size / 2 && Math.abs(gap) < STACK_TOLERANCE;
+}
+
 export class LevelManager {
-    constructor(scene, objectManager, storage) {
+    constructor(scene, objectManager, storage, clock) {
         this.scene = scene;
         this.objectManager = objectManager;
         this.storage = storage;
+        this.clock = clock; // SimulationClock - level time is simulated time
 
         this.currentLevel = null;
         this.levelStartTime = 0;
@@ -15,22 +42,40 @@ export class LevelManager {
         this.targetMeshes = [];
         this.obstacleMeshes = [];
         this.targetStates = []; // Track which targets have objects
+        this.levelObjects = []; // Spawned meshes in the order of levelData.objects (for onTopOf.object)
+        this.collisionCount = 0; // Arm contacts with obstacles, floor or itself
+        this.recordProgress = true; // False for test runs from the level editor
+
+        // Counters for moveLimit and star criteria
+        this.stats = { grabs: 0, commands: 0, travel: 0, drops: 0 };
+        this.heldObject = null;
+        this.armWasMoving = false;
     }
 
     /**
      * Load and start a level
+     * @param {number|Object} level - Level id from levelData.js or a level object in the same format
+     * @param {Object} [options] - { recordProgress: save stars/best time on completion (default true) }
      */
-    loadLevel(levelId) {
-        const levelData = getLevelById(levelId);
+    loadLevel(level, options = {}) {
+        const levelData = typeof level === 'object' ? level : getLevelById(level);
         if (!levelData) {
-            console.error(`Level ${levelId} not found`);
+            console.error(`Level ${level} not found`);
             return false;
         }
 
         this.currentLevel = levelData;
         this.isActive = true;
-        this.levelStartTime = performance.now();
+        this.recordProgress = options.recordProgress !== false;
+
+        // Same seed and tick 0 for every attempt so runs are reproducible
+        this.clock.reset();
+        this.levelStartTime = this.clock.time;
         this.elapsedTime = 0;
+        this.collisionCount = 0;
+        this.stats = { grabs: 0, commands: 0, travel: 0, drops: 0 };
+        this.heldObject = null;
+        this.armWasMoving = false;
 
         // Clear existing objects
         this.objectManager.clearAll();
@@ -38,13 +83,13 @@ export class LevelManager {
         this.clearObstacles();
 
         // Spawn level objects
-        levelData.objects.forEach(obj => {
-            this.objectManager.spawnObject(
+        this.levelObjects = levelData.objects.map(obj => {
+            return this.objectManager.spawnObject(
                 obj.type,
                 new THREE.Vector3(...obj.position),
                 obj.color,
                 obj.size
-            );
+            ).mesh;
         });
 
         // Create target zones
@@ -59,7 +104,7 @@ export class LevelManager {
             });
         }
 
-        console.log(`Level ${levelId} loaded: ${levelData.name}`);
+        console.log(`Level ${levelData.id} loaded: ${levelData.name}`);
         return true;
     }
 
@@ -93,7 +138,8 @@ export class LevelManager {
 
         this.scene.add(mesh);
         this.targetMeshes.push(mesh);
-        this.targetStates.push({ filled: false, object: null });
+        // placedAt: simulated time since the current object sits correctly (for order and holdTime)
+        this.targetStates.push({ filled: false, object: null, placedAt: null });
     }
 
     /**
@@ -119,6 +165,28 @@ export class LevelManager {
         this.obstacleMeshes.push(mesh);
     }
 
+    /**
+     * Obstacles as axis-aligned boxes for arm collision checks
+     * @returns {Array} [{ center: [x,y,z], halfSize: [x,y,z] }]
+     */
+    getObstacleBoxes() {
+        return this.obstacleMeshes.map(mesh => {
+            const half = mesh.geometry.parameters.width / 2;
+            return {
+                center: mesh.position.toArray(),
+                halfSize: [half, half, half]
+            };
+        });
+    }
+
+    /**
+     * Count arm collisions (levels can penalize them)
+     */
+    recordCollision(collisions) {
+        if (!this.isActive) return;
+        this.collisionCount += collisions.length;
+    }
+
     /**
      * Clear all targets
      */
@@ -145,32 +213,88 @@ export class LevelManager {
     }
 
     /**
-     * Update level (call every frame)
+     * Update level (call once per simulation step)
+     * @param {Object} [arm] - { previousAngles, angles, moving } of the arm for move counting
      */
-    update() {
+    update(arm = null) {
         if (!this.isActive || !this.currentLevel) return null;
 
-        // Update elapsed time
-        this.elapsedTime = (performance.now() - this.levelStartTime) / 1000;
+        // Update elapsed time (simulated, independent of frame rate)
+        this.elapsedTime = this.clock.time - this.levelStartTime;
+
+        this.recordMoves(arm);
 
         // Check time limit
         if (this.currentLevel.timeLimit && this.elapsedTime > this.currentLevel.timeLimit) {
             return { status: 'failed', reason: 'timeout' };
         }
 
+        // Check move limit
+        if (this.currentLevel.moveLimit && this.getMoveCount() > this.currentLevel.moveLimit) {
+            return { status: 'failed', reason: 'moves' };
+        }
+
         // Check win conditions
         if (this.checkWinCondition()) {
             const stars = this.calculateStars();
             return {
                 status: 'completed',
                 time: this.elapsedTime,
-                stars: stars
+                stars: stars,
+                moves: this.getMoveCount(),
+                collisions: this.collisionCount,
+                drops: this.stats.drops
             };
         }
 
         return { status: 'playing', time: this.elapsedTime };
     }
 
+    /**
+     * Count grabs, drops, started motions and joint travel
+     */
+    recordMoves(arm) {
+        const held = this.objectManager.attachedObject;
+        if (held && held !== this.heldObject) {
+            this.stats.grabs++;
+        }
+        if (this.heldObject && held !== this.heldObject && !this.isOverMatchingTarget(this.heldObject)) {
+            this.stats.drops++;
+        }
+        this.heldObject = held;
+
+        if (!arm) return;
+
+        // A command is a motion started from rest (a slider drag or script call counts once)
+        if (arm.moving && !this.armWasMoving) {
+            this.stats.commands++;
+        }
+        this.armWasMoving = arm.moving;
+
+        TRAVEL_JOINTS.forEach(joint => {
+            this.stats.travel += Math.abs(arm.angles[joint] - arm.previousAngles[joint]);
+        });
+    }
+
+    /**
+     * Released above a target that takes the object - a placement, not a drop
+     */
+    isOverMatchingTarget(obj) {
+        return this.targetMeshes.some(target => {
+            const dx = obj.position.x - target.position.x;
+            const dz = obj.position.z - target.position.z;
+            return Math.hypot(dx, dz) < target.userData.size && acceptsObject(target.userData, obj);
+        });
+    }
+
+    /**
+     * Moves used so far, measured with the level's moveMetric
+     */
+    getMoveCount() {
+        const metric = (this.currentLevel && this.currentLevel.moveMetric) || 'grabs';
+        return metric === 'travel' ? Math.round(this.stats.travel) : this.stats[metric];
+    }
+
     /**
      * Check if level is completed
      */
@@ -192,60 +316,98 @@ export class LevelManager {
 
     /**
      * Update which targets have objects
+     * Every object fills at most one target (the nearest one it fits), held objects do not count.
+     * On top of type and color, a target can require:
+     *   onTopOf  - { target: i } resting on the object in targets[i], or { object: i } on objects[i]
+     *   order    - targets with a lower order must be filled before (placed in sequence)
+     *   holdTime - seconds the object has to stay in place
      */
     updateTargetStates() {
-        const objects = this.objectManager.getAllObjects();
-
-        // Reset states
-        this.targetStates.forEach(state => {
-            state.filled = false;
-            state.object = null;
-        });
+        const objects = this.objectManager.getAllObjects()
+            .filter(obj => obj !== this.objectManager.attachedObject);
 
-        // Check each object against targets
+        // Nearest object/target pairs first, so stacked targets at the same x/z get the right cube
+        const candidates = [];
         objects.forEach(obj => {
-            for (let i = 0; i < this.targetMeshes.length; i++) {
-                const target = this.targetMeshes[i];
+            this.targetMeshes.forEach((target, index) => {
                 const distance = obj.position.distanceTo(target.position);
-
-                if (distance < target.userData.size) {
-                    // Check if object type matches
-                    const accepts = target.userData.accepts;
-                    if (accepts && accepts.includes(obj.userData.type)) {
-                        // Check color if required
-                        const requiredColor = target.userData.requiredColor;
-                        if (requiredColor) {
-                            const objColor = '#' + obj.material.color.getHexString();
-                            if (objColor.toLowerCase() !== requiredColor.toLowerCase()) {
-                                continue;
-                            }
-                        }
-
-                        this.targetStates[i].filled = true;
-                        this.targetStates[i].object = obj;
-                        break;
-                    }
+                if (distance < target.userData.size && acceptsObject(target.userData, obj)) {
+                    candidates.push({ obj, index, distance });
                 }
+            });
+        });
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        const assigned = new Array(this.targetMeshes.length).fill(null);
+        const used = new Set();
+        candidates.forEach(({ obj, index }) => {
+            if (assigned[index] || used.has(obj)) return;
+            assigned[index] = obj;
+            used.add(obj);
+        });
+
+        // Placement: the right object on its support, timed from when it got there
+        this.targetStates.forEach((state, i) => {
+            const obj = assigned[i];
+            const placed = obj && this.isOnSupport(obj, this.targetMeshes[i].userData.onTopOf, assigned);
+
+            if (!placed) {
+                state.placedAt = null;
+            } else if (state.object !== obj || state.placedAt === null) {
+                state.placedAt = this.elapsedTime;
             }
+            state.object = obj;
+        });
+
+        this.targetStates.forEach((state, i) => {
+            const data = this.targetMeshes[i].userData;
+            const inSequence = state.placedAt !== null && this.targetMeshes.every((other, j) => {
+                if ((other.userData.order ?? 0) >= (data.order ?? 0)) return true;
+                const before = this.targetStates[j];
+                return before.placedAt !== null && before.placedAt <= state.placedAt;
+            });
+            const held = inSequence && this.elapsedTime - state.placedAt >= (data.holdTime || 0);
+
+            state.filled = held;
+            this.targetMeshes[i].material.emissiveIntensity = held ? 0.6 : 0.2;
         });
     }
 
     /**
-     * Calculate stars based on time
+     * Object satisfies a target's onTopOf condition (always true without one)
+     */
+    isOnSupport(obj, onTopOf, assigned) {
+        if (!onTopOf) return true;
+
+        const below = onTopOf.target !== undefined ? assigned[onTopOf.target] : this.levelObjects[onTopOf.object];
+        return !!below && below.parent !== null && below !== this.objectManager.attachedObject && restsOn(obj, below);
+    }
+
+    /**
+     * Calculate stars from the criteria in level.stars
+     * Every criterion ({ time, moves, collisions, drops }: upper bounds for [3, 2, 1] stars) rates
+     * the run and the worst rating counts. A completed level always earns at least one star.
      */
     calculateStars() {
         if (!this.currentLevel || !this.currentLevel.stars) return 1;
 
-        const time = this.elapsedTime;
-        const { time: thresholds } = this.currentLevel.stars;
+        const values = {
+            time: this.elapsedTime,
+            moves: this.getMoveCount(),
+            collisions: this.collisionCount,
+            drops: this.stats.drops
+        };
 
-        if (!thresholds) return 1;
+        let stars = null;
+        Object.entries(this.currentLevel.stars).forEach(([criterion, thresholds]) => {
+            if (!Array.isArray(thresholds) || values[criterion] === undefined) return;
 
-        if (time <= thresholds[0]) return 3;
-        if (time <= thresholds[1]) return 2;
-        if (time <= thresholds[2]) return 1;
+            const value = values[criterion];
+            const rating = value <= thresholds[0] ? 3 : value <= thresholds[1] ? 2 : 1;
+            stars = Math.min(stars ?? 3, rating);
+        });
 
-        return 1;
+        return stars ?? 1;
     }
 
     /**
@@ -258,7 +420,9 @@ export class LevelManager {
         const levelId = this.currentLevel.id;
 
         // Save progress
-        this.storage.saveProgress(levelId, stars, this.elapsedTime);
+        if (this.recordProgress) {
+            this.storage.saveProgress(levelId, stars, this.elapsedTime);
+        }
 
         this.isActive = false;
 
@@ -269,12 +433,29 @@ export class LevelManager {
         };
     }
 
+    /**
+     * Stop the current level as failed ('timeout' or 'moves' limit exceeded)
+     * The level stays loaded so the player can see the final state.
+     */
+    failLevel(reason) {
+        if (!this.currentLevel) return;
+
+        this.isActive = false;
+
+        return {
+            levelId: this.currentLevel.id,
+            reason: reason,
+            time: this.elapsedTime
+        };
+    }
+
     /**
      * Exit level without completing
      */
     exitLevel() {
         this.isActive = false;
         this.currentLevel = null;
+        this.levelObjects = [];
         this.clearTargets();
         this.clearObstacles();
         this.objectManager.clearAll();
@@ -293,7 +474,12 @@ export class LevelManager {
             time: this.elapsedTime,
             timeLimit: this.currentLevel.timeLimit,
             targetsFilled: this.targetStates.filter(s => s.filled).length,
-            totalTargets: this.targetStates.length
+            totalTargets: this.targetStates.length,
+            collisions: this.collisionCount,
+            moves: this.getMoveCount(),
+            moveLimit: this.currentLevel.moveLimit,
+            moveMetric: this.currentLevel.moveMetric || 'grabs',
+            drops: this.stats.drops
         };
     }
 }
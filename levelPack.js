@@ -0,0 +1,112 @@
+// Level Pack - File format for sharing custom levels between classrooms
+// A pack is a JSON file with metadata and a list of levels in the levelData.js format.
+// Single levels are shared as a pack with one level.
+
+import { validateLevel } from './levelValidator.js';
+
+export const LEVEL_PACK_FORMAT = '3d-arm-level-pack';
+export const LEVEL_PACK_VERSION = 1;
+
+// Storage bookkeeping that does not belong into a shared file
+const LOCAL_FIELDS = ['modified', 'pack'];
+
+function stripLocalFields(level) {
+    const copy = JSON.parse(JSON.stringify(level));
+    LOCAL_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * Build a pack from levels
+ * @param {Array} levels - Levels in the levelData.js format
+ * @param {Object} [meta] - { name, author, description }
+ */
+export function createLevelPack(levels, meta = {}) {
+    return {
+        format: LEVEL_PACK_FORMAT,
+        version: LEVEL_PACK_VERSION,
+        name: meta.name || 'Level-Paket',
+        author: meta.author || '',
+        description: meta.description || '',
+        created: new Date().toISOString(),
+        levels: levels.map(stripLocalFields)
+    };
+}
+
+/**
+ * Parse and validate a pack file
+ * A bare level object is accepted as a pack with one level.
+ * @param {string|Object} json - File contents
+ * @returns {Object} { pack, errors: [string], warnings: [string] } - pack is null if there are errors
+ */
+export function parseLevelPack(json) {
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+        return { pack: null, errors: [`Keine gültige JSON-Datei: ${error.message}`], warnings: [] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { pack: null, errors: ['Die Datei enthält kein Level-Paket'], warnings: [] };
+    }
+
+    // Single level shared without a pack around it
+    if (data.format === undefined && Array.isArray(data.objects) && Array.isArray(data.targets)) {
+        data = createLevelPack([data], { name: data.name });
+    }
+
+    const errors = [];
+    const warnings = [];
+
+    if (data.format !== LEVEL_PACK_FORMAT) {
+        errors.push(`Unbekanntes Format "${data.format}" (erwartet "${LEVEL_PACK_FORMAT}")`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push('Version fehlt oder ist ungültig');
+    } else if (data.version > LEVEL_PACK_VERSION) {
+        errors.push(`Paket-Version ${data.version} wird nicht unterstützt (höchstens ${LEVEL_PACK_VERSION}) – bitte Simulator aktualisieren`);
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('Paketname fehlt');
+    }
+    ['author', 'description'].forEach(field => {
+        if (data[field] !== undefined && typeof data[field] !== 'string') {
+            errors.push(`${field} muss Text sein`);
+        }
+    });
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push('Das Paket enthält keine Level');
+    } else {
+        data.levels.forEach((level, i) => {
+            const label = `Level ${i + 1}${level && level.name ? ` "${level.name}"` : ''}`;
+            if (!level || typeof level !== 'object') {
+                errors.push(`${label}: kein Level-Objekt`);
+                return;
+            }
+
+            const result = validateLevel(level);
+            result.errors.forEach(e => errors.push(`${label}: ${e.path}: ${e.message}`));
+            result.warnings.forEach(w => warnings.push(`${label}: ${w.path}: ${w.message}`));
+        });
+    }
+
+    return { pack: errors.length === 0 ? data : null, errors, warnings };
+}
+
+/**
+ * Offer a pack as a file download (browser only)
+ */
+export function downloadLevelPack(pack) {
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const slug = pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level-paket';
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${slug}.3darm-levels.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,447 @@
+// Level Validator - Checks level definitions for mistakes that make a level unsolvable
+// Pure data checks on top of kinematics.js / collision.js (no Three.js, no DOM), so it runs
+// headless in Node as well as in the browser:
+//
+//   import { validateLevels, formatValidationReport } from './levelValidator.js';
+//   console.log(formatValidationReport(validateLevels()));
+
+import { LEVELS } from './levelData.js';
+import { solveIK, REACH_TOLERANCE } from './kinematics.js';
+import { checkArmCollisions } from './collision.js';
+
+const OBJECT_TYPES = ['cube', 'sphere', 'cylinder'];
+const DIFFICULTIES = ['tutorial', 'easy', 'medium', 'hard', 'expert', 'master'];
+const COLLISION_POLICIES = ['block', 'flag'];
+const MOVE_METRICS = ['grabs', 'commands', 'travel'];
+const STAR_CRITERIA = ['time', 'moves', 'collisions', 'drops'];
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function formatPosition(p) {
+    return `(${p.join(', ')})`;
+}
+
+/**
+ * Half height of an object above its center (how far it reaches down to the floor)
+ */
+function halfHeight(obj) {
+    return obj.size / 2;
+}
+
+/**
+ * Collects findings for one level
+ */
+class Findings {
+    constructor() {
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    error(path, message) {
+        this.errors.push({ path, message });
+    }
+
+    warn(path, message) {
+        this.warnings.push({ path, message });
+    }
+}
+
+// ----- Schema -----
+
+function checkSchema(level, findings) {
+    if (!Number.isInteger(level.id) || level.id < 0) findings.error('id', 'id muss eine ganze Zahl ≥ 0 sein');
+    if (typeof level.name !== 'string' || !level.name.trim()) findings.error('name', 'name fehlt');
+    if (typeof level.description !== 'string') findings.error('description', 'description fehlt');
+    if (!DIFFICULTIES.includes(level.difficulty)) {
+        findings.error('difficulty', `difficulty muss eines von ${DIFFICULTIES.join(', ')} sein`);
+    }
+
+    if (!Array.isArray(level.objects) || level.objects.length === 0) {
+        findings.error('objects', 'mindestens ein Objekt erforderlich');
+    } else {
+        level.objects.forEach((obj, i) => {
+            const path = `objects[${i}]`;
+            if (!isObject(obj)) {
+                findings.error(path, 'Objekt erwartet');
+                return;
+            }
+            if (!OBJECT_TYPES.includes(obj.type)) findings.error(`${path}.type`, `unbekannter Typ "${obj.type}"`);
+            if (!isVector3(obj.position)) findings.error(`${path}.position`, 'Position [x, y, z] erwartet');
+            if (!isColor(obj.color)) findings.error(`${path}.color`, `Farbe "${obj.color}" ist kein #rrggbb-Wert`);
+            if (!isPositive(obj.size)) findings.error(`${path}.size`, 'size muss > 0 sein');
+        });
+    }
+
+    if (!Array.isArray(level.targets) || level.targets.length === 0) {
+        findings.error('targets', 'mindestens ein Ziel erforderlich');
+    } else {
+        level.targets.forEach((target, i) => {
+            const path = `targets[${i}]`;
+            if (!isObject(target)) {
+                findings.error(path, 'Objekt erwartet');
+                return;
+            }
+            if (!isVector3(target.position)) findings.error(`${path}.position`, 'Position [x, y, z] erwartet');
+            if (!isPositive(target.size)) findings.error(`${path}.size`, 'size muss > 0 sein');
+            if (!isColor(target.color)) findings.error(`${path}.color`, `Farbe "${target.color}" ist kein #rrggbb-Wert`);
+            if (!Array.isArray(target.accepts) || target.accepts.length === 0 ||
+                !target.accepts.every(type => OBJECT_TYPES.includes(type))) {
+                findings.error(`${path}.accepts`, `accepts muss Typen aus ${OBJECT_TYPES.join(', ')} enthalten`);
+            }
+            if (target.requiredColor !== undefined && !isColor(target.requiredColor)) {
+                findings.error(`${path}.requiredColor`, `Farbe "${target.requiredColor}" ist kein #rrggbb-Wert`);
+            }
+            if (target.order !== undefined && !(Number.isInteger(target.order) && target.order >= 0)) {
+                findings.error(`${path}.order`, 'order muss eine ganze Zahl ≥ 0 sein');
+            }
+            if (target.holdTime !== undefined && !isPositive(target.holdTime)) {
+                findings.error(`${path}.holdTime`, 'holdTime muss > 0 sein');
+            }
+            if (target.onTopOf !== undefined) checkOnTopOf(level, i, findings);
+        });
+
+        // Stacks must end on something: a chain of onTopOf.target links may not loop
+        level.targets.forEach((target, i) => {
+            const seen = new Set([i]);
+            let link = isObject(target) ? target.onTopOf : null;
+            while (isObject(link) && Number.isInteger(link.target) && isObject(level.targets[link.target])) {
+                if (seen.has(link.target)) {
+                    findings.error(`targets[${i}].onTopOf`, 'onTopOf bildet einen Kreis');
+                    return;
+                }
+                seen.add(link.target);
+                link = level.targets[link.target].onTopOf;
+            }
+        });
+    }
+
+    if (level.obstacles !== null && level.obstacles !== undefined && !Array.isArray(level.obstacles)) {
+        findings.error('obstacles', 'obstacles muss eine Liste sein');
+    } else {
+        (level.obstacles || []).forEach((obstacle, i) => {
+            const path = `obstacles[${i}]`;
+            if (!isObject(obstacle)) {
+                findings.error(path, 'Objekt erwartet');
+                return;
+            }
+            if (!isVector3(obstacle.position)) findings.error(`${path}.position`, 'Position [x, y, z] erwartet');
+            if (!isPositive(obstacle.size)) findings.error(`${path}.size`, 'size muss > 0 sein');
+        });
+    }
+
+    if (level.timeLimit !== null && level.timeLimit !== undefined && !isPositive(level.timeLimit)) {
+        findings.error('timeLimit', 'timeLimit muss null oder > 0 sein');
+    }
+    if (level.moveLimit !== null && level.moveLimit !== undefined &&
+        !(Number.isInteger(level.moveLimit) && level.moveLimit > 0)) {
+        findings.error('moveLimit', 'moveLimit muss null oder eine ganze Zahl > 0 sein');
+    }
+    if (level.moveMetric !== undefined && !MOVE_METRICS.includes(level.moveMetric)) {
+        findings.error('moveMetric', `moveMetric muss eines von ${MOVE_METRICS.join(', ')} sein`);
+    }
+    if (level.collisionPolicy !== undefined && !COLLISION_POLICIES.includes(level.collisionPolicy)) {
+        findings.error('collisionPolicy', `collisionPolicy muss ${COLLISION_POLICIES.join(' oder ')} sein`);
+    }
+    if (level.stars !== null && level.stars !== undefined && !isObject(level.stars)) {
+        findings.error('stars', 'stars muss ein Objekt sein');
+    }
+}
+
+function checkOnTopOf(level, i, findings) {
+    const path = `targets[${i}].onTopOf`;
+    const onTopOf = level.targets[i].onTopOf;
+    const keys = onTopOf && typeof onTopOf === 'object' ? Object.keys(onTopOf) : [];
+
+    if (keys.length !== 1 || !['target', 'object'].includes(keys[0])) {
+        findings.error(path, 'onTopOf muss { target: i } oder { object: i } sein');
+        return;
+    }
+
+    const list = keys[0] === 'target' ? level.targets : level.objects;
+    const index = onTopOf[keys[0]];
+    if (!Number.isInteger(index) || !Array.isArray(list) || index < 0 || index >= list.length) {
+        findings.error(path, `${keys[0]} ${index} gibt es nicht`);
+    } else if (keys[0] === 'target' && index === i) {
+        findings.error(path, 'ein Ziel kann nicht auf sich selbst liegen');
+    }
+}
+
+// ----- Stars -----
+
+function checkStars(level, findings) {
+    if (!isObject(level.stars)) return;
+
+    Object.entries(level.stars).forEach(([criterion, thresholds]) => {
+        const path = `stars.${criterion}`;
+        if (!STAR_CRITERIA.includes(criterion)) {
+            findings.error(path, `unbekanntes Kriterium (${STAR_CRITERIA.join(', ')})`);
+            return;
+        }
+
+        // Time must be positive, counters may require zero (e.g. no collisions for 3 stars)
+        const valid = criterion === 'time' ? isPositive : (v) => Number.isFinite(v) && v >= 0;
+        if (!Array.isArray(thresholds) || thresholds.length !== 3 || !thresholds.every(valid)) {
+            findings.error(path, 'drei Grenzen [3 Sterne, 2 Sterne, 1 Stern] erwartet');
+            return;
+        }
+
+        if (!(thresholds[0] <= thresholds[1] && thresholds[1] <= thresholds[2])) {
+            findings.error(path, `Grenzen müssen aufsteigend sein: ${thresholds.join(' / ')}`);
+        }
+    });
+
+    const time = level.stars.time;
+    if (Array.isArray(time) && isPositive(level.timeLimit) && time[2] > level.timeLimit) {
+        findings.error('stars.time', `1-Stern-Zeit ${time[2]}s liegt über dem Zeitlimit ${level.timeLimit}s`);
+    }
+
+    const moves = level.stars.moves;
+    if (Array.isArray(moves) && level.moveLimit && moves[2] > level.moveLimit) {
+        findings.error('stars.moves', `1-Stern-Züge ${moves[2]} liegen über dem Zuglimit ${level.moveLimit}`);
+    }
+}
+
+/**
+ * Every target needs at least one grab - a lower grab limit can never be met
+ */
+function checkMoveBudget(level, findings) {
+    if ((level.moveMetric || 'grabs') !== 'grabs') return;
+
+    const needed = level.targets.length;
+    if (level.moveLimit && level.moveLimit < needed) {
+        findings.error('moveLimit', `${level.moveLimit} Züge reichen nicht für ${needed} Ziele`);
+    }
+
+    const moves = level.stars && level.stars.moves;
+    if (Array.isArray(moves) && moves[0] < needed) {
+        findings.warn('stars.moves', `3 Sterne brauchen höchstens ${moves[0]} Züge, es gibt aber ${needed} Ziele`);
+    }
+}
+
+// ----- Geometry -----
+
+function obstacleBox(obstacle) {
+    const half = obstacle.size / 2;
+    return { center: obstacle.position, halfSize: [half, half, half] };
+}
+
+function insideBox(point, box, margin) {
+    return [0, 1, 2].every(i => Math.abs(point[i] - box.center[i]) < box.halfSize[i] + margin);
+}
+
+function checkGeometry(level, findings) {
+    const objects = level.objects;
+    const targets = level.targets;
+    const obstacles = level.obstacles || [];
+
+    objects.forEach((obj, i) => {
+        if (obj.position[1] < halfHeight(obj) - 0.01) {
+            findings.error(`objects[${i}].position`, `Objekt steckt im Boden (y=${obj.position[1]}, halbe Höhe ${halfHeight(obj)})`);
+        }
+
+        for (let j = i + 1; j < objects.length; j++) {
+            if (distance(obj.position, objects[j].position) < halfHeight(obj) + halfHeight(objects[j])) {
+                findings.error(`objects[${i}]`, `überlappt mit objects[${j}]`);
+            }
+        }
+
+        obstacles.forEach((obstacle, k) => {
+            if (insideBox(obj.position, obstacleBox(obstacle), halfHeight(obj))) {
+                findings.error(`objects[${i}]`, `liegt im Hindernis obstacles[${k}]`);
+            }
+        });
+    });
+
+    targets.forEach((target, i) => {
+        for (let j = i + 1; j < targets.length; j++) {
+            const other = targets[j];
+
+            // Stacking targets share x/z on purpose
+            const linked = (target.onTopOf && target.onTopOf.target === j) ||
+                (other.onTopOf && other.onTopOf.target === i);
+            const stacked = (linked || (target.stackable && other.stackable)) &&
+                target.position[0] === other.position[0] && target.position[2] === other.position[2];
+            if (!stacked && distance(target.position, other.position) < target.size + other.size) {
+                findings.error(`targets[${i}]`, `Zielbereich überlappt mit targets[${j}] (Radien ${target.size} + ${other.size})`);
+            }
+        }
+
+        obstacles.forEach((obstacle, k) => {
+            if (insideBox(target.position, obstacleBox(obstacle), 0)) {
+                findings.error(`targets[${i}]`, `liegt im Hindernis obstacles[${k}]`);
+            }
+        });
+
+        // A stacked target sits above its support (the object in it must be able to rest there)
+        if (target.onTopOf && target.onTopOf.target !== undefined) {
+            const below = targets[target.onTopOf.target];
+            if (target.position[1] <= below.position[1]) {
+                findings.error(`targets[${i}].onTopOf`, `liegt nicht über targets[${target.onTopOf.target}]`);
+            }
+        }
+    });
+}
+
+// ----- Reachability -----
+
+function checkReachability(level, findings) {
+    const obstacles = (level.obstacles || []).map(obstacleBox);
+
+    const check = (path, position) => {
+        const result = solveIK(position, null, {}, { tolerance: REACH_TOLERANCE });
+        if (!result.reachable) {
+            findings.error(path, `Position ${formatPosition(position)} ist für den Greifer nicht erreichbar`);
+            return;
+        }
+
+        const collisions = checkArmCollisions(result.angles, obstacles);
+        if (collisions.length > 0) {
+            findings.warn(path, `Arm kollidiert in der gefundenen Pose bei ${formatPosition(position)} (${collisions[0].type})`);
+        }
+    };
+
+    level.objects.forEach((obj, i) => check(`objects[${i}]`, obj.position));
+    level.targets.forEach((target, i) => check(`targets[${i}]`, target.position));
+}
+
+// ----- Objects vs targets -----
+
+function fits(obj, target) {
+    if (!target.accepts.includes(obj.type)) return false;
+    return !target.requiredColor || target.requiredColor.toLowerCase() === obj.color.toLowerCase();
+}
+
+/**
+ * Every target needs its own matching object (bipartite matching, augmenting paths)
+ */
+function checkMatching(level, findings) {
+    const { objects, targets } = level;
+    let impossible = 0;
+
+    targets.forEach((target, i) => {
+        if (target.requiredColor && !objects.some(obj => obj.color.toLowerCase() === target.requiredColor.toLowerCase())) {
+            findings.error(`targets[${i}].requiredColor`, `kein Objekt hat die Farbe ${target.requiredColor}`);
+            impossible++;
+        } else if (!objects.some(obj => fits(obj, target))) {
+            findings.error(`targets[${i}]`, `kein Objekt passt (accepts ${target.accepts.join(', ')})`);
+            impossible++;
+        }
+    });
+
+    const objectFor = new Array(objects.length).fill(-1);
+    const assign = (t, visited) => {
+        for (let o = 0; o < objects.length; o++) {
+            if (visited[o] || !fits(objects[o], targets[t])) continue;
+            visited[o] = true;
+            if (objectFor[o] === -1 || assign(objectFor[o], visited)) {
+                objectFor[o] = t;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    const unmatched = targets
+        .map((_, t) => t)
+        .filter(t => !assign(t, new Array(objects.length).fill(false)));
+
+    // Targets without any candidate were reported above
+    if (unmatched.length > impossible) {
+        findings.error('targets', `nicht genug passende Objekte für targets[${unmatched.join('], targets[')}]`);
+    }
+
+    // Objects that start inside a matching target make the level partly solved
+    objects.forEach((obj, o) => {
+        targets.forEach((target, t) => {
+            if (fits(obj, target) && distance(obj.position, target.position) < target.size) {
+                findings.warn(`objects[${o}]`, `liegt bereits auf dem passenden Ziel targets[${t}]`);
+            }
+        });
+    });
+}
+
+/**
+ * Validate one level definition
+ * @param {Object} level - Entry in the LEVELS format
+ * @returns {Object} { id, name, valid, errors: [{ path, message }], warnings: [...] }
+ */
+export function validateLevel(level) {
+    const findings = new Findings();
+
+    checkSchema(level, findings);
+
+    // Geometric checks need well-formed objects and targets
+    if (findings.errors.length === 0) {
+        checkGeometry(level, findings);
+        checkMatching(level, findings);
+        checkMoveBudget(level, findings);
+        checkReachability(level, findings);
+    }
+
+    checkStars(level, findings);
+
+    return {
+        id: level.id,
+        name: level.name,
+        valid: findings.errors.length === 0,
+        errors: findings.errors,
+        warnings: findings.warnings
+    };
+}
+
+/**
+ * Validate a list of levels (defaults to the built-in LEVELS)
+ * @returns {Array} One result per level, see validateLevel
+ */
+export function validateLevels(levels = LEVELS) {
+    const results = levels.map(level => validateLevel(level));
+
+    // Level ids must be unique - progress is stored per id
+    const seen = new Map();
+    levels.forEach((level, i) => {
+        if (seen.has(level.id)) {
+            results[i].errors.push({ path: 'id', message: `id ${level.id} ist doppelt (auch Eintrag ${seen.get(level.id)})` });
+            results[i].valid = false;
+        } else {
+            seen.set(level.id, i);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Human readable summary, one line per finding
+ */
+export function formatValidationReport(results) {
+    const lines = [];
+
+    results.forEach(result => {
+        const status = result.valid ? 'OK' : 'FEHLER';
+        lines.push(`[${status}] Level ${result.id}: ${result.name}`);
+        result.errors.forEach(e => lines.push(`    Fehler  ${e.path}: ${e.message}`));
+        result.warnings.forEach(w => lines.push(`    Hinweis ${w.path}: ${w.message}`));
+    });
+
+    const failed = results.filter(r => !r.valid).length;
+    lines.push(`${results.length - failed}/${results.length} Level gültig`);
+    return lines.join('\n');
+}
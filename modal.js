@@ -0,0 +1,140 @@
+// Modal & Toast - Non-blocking replacements for alert()/confirm()
+// The render loop keeps running while a dialog is open; callers get the chosen
+// button through a Promise instead of a blocking return value.
+
+export class Modal {
+    /**
+     * @param {HTMLElement} element - Dialog root with #modalTitle, #modalMessage, #modalDetails, #modalButtons
+     */
+    constructor(element) {
+        this.element = element;
+        this.title = element.querySelector('#modalTitle');
+        this.message = element.querySelector('#modalMessage');
+        this.details = element.querySelector('#modalDetails');
+        this.buttons = element.querySelector('#modalButtons');
+
+        this.resolve = null;
+        this.dismissValue = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    /**
+     * Show a dialog (an open dialog is closed with its dismiss value first)
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} [options.message] - Plain text, line breaks are kept
+     * @param {Array} [options.details] - [{ label, value }] rows below the message
+     * @param {Array} [options.buttons] - [{ label, value, primary }] in display order
+     * @param {*} [options.dismissValue] - Result for Escape (default null)
+     * @returns {Promise} Value of the clicked button
+     */
+    open({ title, message = '', details = [], buttons = [{ label: 'OK', value: true, primary: true }], dismissValue = null }) {
+        if (this.isOpen) this.close(this.dismissValue);
+
+        this.title.textContent = title;
+        this.message.textContent = message;
+        this.message.hidden = !message;
+
+        this.details.innerHTML = '';
+        details.forEach(({ label, value }) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            this.details.append(term, description);
+        });
+        this.details.hidden = details.length === 0;
+
+        this.buttons.innerHTML = '';
+        buttons.forEach(({ label, value, primary }) => {
+            const button = document.createElement('button');
+            button.className = primary ? 'btn-secondary active' : 'btn-secondary';
+            button.textContent = label;
+            button.addEventListener('click', () => this.close(value));
+            this.buttons.appendChild(button);
+        });
+
+        this.dismissValue = dismissValue;
+        this.element.hidden = false;
+
+        const primary = this.buttons.querySelector('.active') || this.buttons.firstElementChild;
+        if (primary) primary.focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Yes/no question
+     * @returns {Promise<boolean>}
+     */
+    confirm(title, message = '', confirmLabel = 'OK', cancelLabel = 'Abbrechen') {
+        return this.open({
+            title,
+            message,
+            buttons: [
+                { label: cancelLabel, value: false },
+                { label: confirmLabel, value: true, primary: true }
+            ],
+            dismissValue: false
+        });
+    }
+
+    close(value = this.dismissValue) {
+        if (!this.isOpen) return;
+
+        this.element.hidden = true;
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(value);
+    }
+
+    onKeyDown(e) {
+        if (e.key === 'Escape' && this.isOpen) {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+    }
+}
+
+export class Toast {
+    /**
+     * @param {HTMLElement} container - Element the toasts stack in
+     */
+    constructor(container) {
+        this.container = container;
+        this.maxVisible = 4;
+    }
+
+    /**
+     * Show a short message that disappears by itself
+     * @param {string} message
+     * @param {Object} [options] - { type: 'info' | 'success' | 'warning', duration: ms }
+     */
+    show(message, { type = 'info', duration = 3000 } = {}) {
+        const toast = document.createElement('div');
+        toast.className = `toast glass-card ${type}`;
+        toast.textContent = message;
+        this.container.appendChild(toast);
+
+        while (this.container.children.length > this.maxVisible) {
+            this.container.firstElementChild.remove();
+        }
+
+        setTimeout(() => {
+            toast.classList.add('leaving');
+            setTimeout(() => toast.remove(), 400);
+        }, duration);
+    }
+}
@@ -1,76 +1,69 @@
 // Object Manager - Handles 3D objects in the scene
 import * as THREE from 'three';
+import { SimplePhysics } from './physics.js';
 
 export class ObjectManager {
-    constructor(scene) {
+    constructor(scene, physicsBackend = null) {
         this.scene = scene;
         this.objects = new Map();
         this.nextId = 1;
         this.attachedObject = null;
         this.attachPoint = null;
-        this.gravity = -9.8;
+        this.physics = physicsBackend || new SimplePhysics();
+    }
+
+    /**
+     * Swap the physics backend (see physics.js for the interface)
+     */
+    setPhysicsBackend(backend) {
+        this.physics = backend;
+        this.getAllObjects().forEach(obj => this.physics.initBody(obj));
     }
 
     /**
      * Update physics for all objects
      * @param {number} dt - Delta time in seconds
-     * @param {Array} armColliders - Array of {position, radius} from robot arm
+     * @param {Array} armColliders - Array of capsules {start, end, radius} (or spheres {position, radius}) from robot arm
      */
     update(dt, armColliders = []) {
         // Clamp dt to avoid huge jumps
         dt = Math.min(dt, 0.05);
 
-        for (const [id, obj] of this.objects.entries()) {
-            // Skip attached objects (they follow the gripper)
-            if (this.attachedObject && this.attachedObject.userData.id === id) continue;
-
-            // Skip static objects if any
-            if (obj.userData.isStatic) continue;
+        this.physics.step(dt, this.getAllObjects(), armColliders);
+    }
 
+    /**
+     * Remember the current state as the start of the next simulation step
+     */
+    storePreviousState() {
+        for (const obj of this.objects.values()) {
             const u = obj.userData;
+            u.prevPosition.copy(obj.position);
+            u.prevQuaternion.copy(obj.quaternion);
+        }
+    }
 
-            // Apply Gravity
-            if (!u.onFloor) {
-                u.velocity.y += this.gravity * dt;
-            }
-
-            // Apply Velocity
-            obj.position.addScaledVector(u.velocity, dt);
-
-            // Floor Collision
-            if (obj.position.y < u.radius) {
-                obj.position.y = u.radius;
-                u.velocity.y = 0;
-                u.velocity.x *= 0.9; // Friction
-                u.velocity.z *= 0.9;
-                u.onFloor = true;
-            } else {
-                u.onFloor = false;
-            }
-
-            // Arm Collisions (Simple push)
-            if (armColliders.length > 0) {
-                for (const collider of armColliders) {
-                    const dist = obj.position.distanceTo(collider.position);
-                    const minDist = u.radius + collider.radius;
-
-                    if (dist < minDist) {
-                        // Collision detected! Push object away
-                        const pushDir = new THREE.Vector3().subVectors(obj.position, collider.position).normalize();
-
-                        // Prevent pushing into floor
-                        if (pushDir.y < 0) pushDir.y = 0.1;
-                        pushDir.normalize();
-
-                        // Nudge position
-                        const overlap = minDist - dist;
-                        obj.position.addScaledVector(pushDir, overlap * 1.5); // 1.5 for stiff bounce
+    /**
+     * Move meshes between the previous and current simulated state for rendering
+     * @param {number} alpha - 0 = previous step, 1 = current step
+     */
+    applyRenderInterpolation(alpha) {
+        for (const obj of this.objects.values()) {
+            const u = obj.userData;
+            u.simPosition.copy(obj.position);
+            u.simQuaternion.copy(obj.quaternion);
+            obj.position.lerpVectors(u.prevPosition, u.simPosition, alpha);
+            obj.quaternion.slerpQuaternions(u.prevQuaternion, u.simQuaternion, alpha);
+        }
+    }
 
-                        // Transfer energy to velocity
-                        u.velocity.addScaledVector(pushDir, 2.0); // Adds bounce
-                    }
-                }
-            }
+    /**
+     * Undo applyRenderInterpolation after rendering
+     */
+    restoreSimulationState() {
+        for (const obj of this.objects.values()) {
+            obj.position.copy(obj.userData.simPosition);
+            obj.quaternion.copy(obj.userData.simQuaternion);
         }
     }
 
@@ -122,9 +115,17 @@ export class ObjectManager {
             pickable: true,
             velocity: new THREE.Vector3(0, 0, 0),
             isStatic: false,
+            attached: false,
+            size: size,
             radius: radius,
-            onFloor: false
+            onFloor: false,
+            // Render interpolation state
+            prevPosition: position.clone(),
+            prevQuaternion: new THREE.Quaternion(),
+            simPosition: position.clone(),
+            simQuaternion: new THREE.Quaternion()
         };
+        this.physics.initBody(mesh);
 
         this.scene.add(mesh);
         this.objects.set(id, mesh);
@@ -236,6 +237,10 @@ export class ObjectManager {
 
         this.attachedObject = object;
         this.attachPoint = attachPoint;
+        object.userData.attached = true;
+
+        // Objects resting on the picked one must be able to fall
+        this.physics.wakeAll(this.getAllObjects());
 
         // Visual feedback
         object.material.emissive = new THREE.Color(0xff6b35);
@@ -254,11 +259,16 @@ export class ObjectManager {
             this.attachedObject.material.emissiveIntensity = 0;
 
             // Enable physics
+            this.attachedObject.userData.attached = false;
             this.attachedObject.userData.onFloor = false;
             // Reset velocity
             if (this.attachedObject.userData.velocity) {
                 this.attachedObject.userData.velocity.set(0, 0, 0);
             }
+            if (this.attachedObject.userData.angularVelocity) {
+                this.attachedObject.userData.angularVelocity.set(0, 0, 0);
+            }
+            this.physics.wakeAll(this.getAllObjects());
 
             this.attachedObject = null;
             this.attachPoint = null;
@@ -284,16 +294,23 @@ export class ObjectManager {
 
     /**
      * Export objects to JSON
+     * Includes rotation and motion state, so a scene can be restored exactly.
      */
     exportToJSON() {
         const objectsData = [];
         for (const [id, obj] of this.objects.entries()) {
+            const u = obj.userData;
             objectsData.push({
                 id: id,
-                type: obj.userData.type,
+                type: u.type,
                 position: obj.position.toArray(),
+                quaternion: obj.quaternion.toArray(),
                 color: '#' + obj.material.color.getHexString(),
-                size: obj.geometry.parameters.width || obj.geometry.parameters.radius
+                size: u.size, // Edge length / diameter as passed to spawnObject (not the sphere radius)
+                velocity: u.velocity.toArray(),
+                angularVelocity: u.angularVelocity ? u.angularVelocity.toArray() : [0, 0, 0],
+                sleeping: !!u.sleeping,
+                attached: obj === this.attachedObject
             });
         }
         return objectsData;
@@ -301,16 +318,30 @@ export class ObjectManager {
 
     /**
      * Import objects from JSON
+     * The caller re-attaches the object marked as attached (it needs the gripper).
+     * @returns {Array} Spawned meshes in the order of data
      */
     importFromJSON(data) {
         this.clearAll();
-        for (const objData of data) {
-            this.spawnObject(
+        return data.map(objData => {
+            const { mesh } = this.spawnObject(
                 objData.type,
                 new THREE.Vector3(...objData.position),
                 objData.color,
                 objData.size
             );
-        }
+
+            const u = mesh.userData;
+            if (objData.quaternion) {
+                mesh.quaternion.fromArray(objData.quaternion);
+                u.prevQuaternion.copy(mesh.quaternion);
+                u.simQuaternion.copy(mesh.quaternion);
+            }
+            if (objData.velocity) u.velocity.fromArray(objData.velocity);
+            if (objData.angularVelocity) u.angularVelocity.fromArray(objData.angularVelocity);
+            u.sleeping = !!objData.sleeping;
+
+            return mesh;
+        });
     }
 }
@@ -0,0 +1,628 @@
+// Physics - Rigid-body simulation for spawned objects
+//
+// ObjectManager talks to a physics backend through three methods:
+//   initBody(mesh)                      - add shape, mass and velocities to mesh.userData
+//   step(dt, bodies, armColliders)      - advance all bodies (meshes) by dt seconds
+//   wakeAll(bodies)                     - wake sleeping bodies after external changes
+// SimplePhysics is the built-in hand-written backend; another engine can be plugged in
+// with ObjectManager.setPhysicsBackend as long as it implements the same methods.
+
+import * as THREE from 'three';
+
+/**
+ * Collision shape for an object type
+ * @param {string} type - 'cube', 'sphere', 'cylinder'
+ * @param {number} size - Edge length / diameter
+ */
+export function createShape(type, size) {
+    const half = size / 2;
+    switch (type) {
+        case 'sphere':
+            return { kind: 'sphere', radius: half };
+        case 'cylinder':
+            return { kind: 'cylinder', radius: half, halfHeight: half };
+        case 'cube':
+        default:
+            return { kind: 'box', halfExtents: [half, half, half] };
+    }
+}
+
+// Box-like half extents (cylinders are treated as their bounding box for contacts)
+function halfExtentsOf(shape) {
+    if (shape.kind === 'box') return shape.halfExtents;
+    if (shape.kind === 'cylinder') return [shape.radius, shape.halfHeight, shape.radius];
+    return [shape.radius, shape.radius, shape.radius];
+}
+
+const _v1 = new THREE.Vector3();
+const _v2 = new THREE.Vector3();
+const _q = new THREE.Quaternion();
+
+export class SimplePhysics {
+    constructor(options = {}) {
+        this.gravity = options.gravity ?? -9.8;
+        this.maxSubStep = options.maxSubStep ?? 1 / 120;
+        this.iterations = options.iterations ?? 8;
+        this.friction = options.friction ?? 0.6;
+        this.restitution = options.restitution ?? 0.15;
+        this.linearDamping = 0.02;
+        this.angularDamping = 0.1;
+        this.sleepLinear = 0.05;
+        this.sleepAngular = 0.15;
+        this.sleepTime = 0.5;
+        this.slop = 0.002;
+    }
+
+    /**
+     * Add physics properties to a freshly spawned mesh
+     */
+    initBody(mesh) {
+        const u = mesh.userData;
+        const size = u.size || 0.3;
+        u.shape = createShape(u.type, size);
+        u.velocity = u.velocity || new THREE.Vector3();
+        u.angularVelocity = new THREE.Vector3();
+        u.sleeping = false;
+        u.sleepTimer = 0;
+
+        // Unit density scaled so a 0.3 cube weighs 1
+        const scale = Math.pow(size / 0.3, 3);
+        let mass;
+        let inertia;
+        const s = u.shape;
+
+        if (s.kind === 'sphere') {
+            mass = scale * 0.52;
+            const i = 0.4 * mass * s.radius * s.radius;
+            inertia = [i, i, i];
+        } else if (s.kind === 'cylinder') {
+            mass = scale * 0.79;
+            const h = s.halfHeight * 2;
+            const ix = mass * (3 * s.radius * s.radius + h * h) / 12;
+            inertia = [ix, 0.5 * mass * s.radius * s.radius, ix];
+        } else {
+            mass = scale;
+            const [x, y, z] = s.halfExtents.map(v => v * 2);
+            inertia = [mass * (y * y + z * z) / 12, mass * (x * x + z * z) / 12, mass * (x * x + y * y) / 12];
+        }
+
+        u.mass = mass;
+        u.invMass = 1 / mass;
+        u.invInertia = inertia.map(i => 1 / i);
+    }
+
+    wakeAll(bodies) {
+        bodies.forEach(body => {
+            body.userData.sleeping = false;
+            body.userData.sleepTimer = 0;
+        });
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} dt - Delta time in seconds
+     * @param {Array} bodies - Meshes with physics userData
+     * @param {Array} armColliders - Capsules {start, end, radius} that push bodies
+     */
+    step(dt, bodies, armColliders = []) {
+        const steps = Math.max(1, Math.ceil(dt / this.maxSubStep - 1e-9));
+        const h = dt / steps;
+
+        for (let i = 0; i < steps; i++) {
+            this.integrate(h, bodies);
+            this.pushFromArm(bodies, armColliders);
+
+            const contacts = this.findContacts(bodies);
+            this.solveContacts(contacts, h);
+            this.correctPositions(contacts);
+            this.updateSleep(h, bodies, contacts);
+        }
+    }
+
+    // Kinematic bodies (static, attached to the gripper) don't respond to forces
+    isDynamic(body) {
+        const u = body.userData;
+        return !u.isStatic && !u.attached && !u.sleeping;
+    }
+
+    invMass(body) {
+        return this.isDynamic(body) ? body.userData.invMass : 0;
+    }
+
+    // World-space inverse inertia applied to a vector
+    applyInvInertia(body, v, out) {
+        if (!this.isDynamic(body)) return out.set(0, 0, 0);
+        const inv = body.userData.invInertia;
+        _q.copy(body.quaternion).invert();
+        out.copy(v).applyQuaternion(_q);
+        out.set(out.x * inv[0], out.y * inv[1], out.z * inv[2]);
+        return out.applyQuaternion(body.quaternion);
+    }
+
+    integrate(h, bodies) {
+        bodies.forEach(body => {
+            if (!this.isDynamic(body)) return;
+            const u = body.userData;
+
+            u.velocity.y += this.gravity * h;
+            u.velocity.multiplyScalar(1 - this.linearDamping * h);
+            u.angularVelocity.multiplyScalar(1 - this.angularDamping * h);
+
+            body.position.addScaledVector(u.velocity, h);
+
+            // q' = q + 0.5 * (0, w) * q * h
+            const w = u.angularVelocity;
+            if (w.lengthSq() > 0) {
+                const q = body.quaternion;
+                const dq = new THREE.Quaternion(w.x * h * 0.5, w.y * h * 0.5, w.z * h * 0.5, 0).multiply(q);
+                q.set(q.x + dq.x, q.y + dq.y, q.z + dq.z, q.w + dq.w).normalize();
+            }
+        });
+    }
+
+    /**
+     * Arm links push bodies away (simple positional push like before, now per capsule)
+     */
+    pushFromArm(bodies, armColliders) {
+        if (armColliders.length === 0) return;
+
+        bodies.forEach(body => {
+            const u = body.userData;
+            if (u.isStatic || u.attached) return;
+
+            for (const collider of armColliders) {
+                const contact = collider.start
+                    ? closestPointOnSegment(body.position, collider.start, collider.end)
+                    : collider.position;
+                const dist = body.position.distanceTo(contact);
+                const minDist = u.radius + collider.radius;
+
+                if (dist < minDist) {
+                    const pushDir = new THREE.Vector3().subVectors(body.position, contact).normalize();
+
+                    // Prevent pushing into floor
+                    if (pushDir.y < 0) pushDir.y = 0.1;
+                    pushDir.normalize();
+
+                    body.position.addScaledVector(pushDir, minDist - dist);
+                    u.velocity.addScaledVector(pushDir, 1.0);
+                    u.sleeping = false;
+                    u.sleepTimer = 0;
+                }
+            }
+        });
+    }
+
+    // ----- Contact generation -----
+
+    findContacts(bodies) {
+        const contacts = [];
+
+        bodies.forEach(body => {
+            body.userData.onFloor = false;
+            if (body.userData.attached) return;
+            this.floorContacts(body, contacts);
+        });
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                if (!this.isDynamic(a) && !this.isDynamic(b)) continue;
+
+                // Cheap bounding sphere rejection
+                const reach = boundingRadius(a.userData.shape) + boundingRadius(b.userData.shape);
+                if (a.position.distanceToSquared(b.position) > reach * reach) continue;
+
+                this.pairContacts(a, b, contacts);
+            }
+        }
+
+        return contacts;
+    }
+
+    floorContacts(body, contacts) {
+        const shape = body.userData.shape;
+        const points = [];
+
+        if (shape.kind === 'sphere') {
+            const depth = shape.radius - body.position.y;
+            if (depth > 0) {
+                points.push({ point: new THREE.Vector3(body.position.x, 0, body.position.z), depth });
+            }
+        } else {
+            supportVertices(body).forEach(v => {
+                if (v.y < 0) points.push({ point: v, depth: -v.y });
+            });
+        }
+
+        if (points.length === 0) return;
+        body.userData.onFloor = true;
+
+        const normal = new THREE.Vector3(0, 1, 0);
+        const depth = Math.max(...points.map(p => p.depth));
+        contacts.push({
+            a: body,
+            b: null,
+            normal,
+            depth,
+            points: points.map(p => ({ point: p.point, normalImpulse: 0 }))
+        });
+    }
+
+    pairContacts(a, b, contacts) {
+        const sa = a.userData.shape;
+        const sb = b.userData.shape;
+        let result = null;
+
+        if (sa.kind === 'sphere' && sb.kind === 'sphere') {
+            result = sphereSphere(a, b);
+        } else if (sa.kind === 'sphere') {
+            result = sphereBox(a, b);
+        } else if (sb.kind === 'sphere') {
+            result = sphereBox(b, a);
+            if (result) result.normal.negate();
+        } else {
+            result = boxBox(a, b);
+        }
+
+        if (!result) return;
+
+        contacts.push({
+            a,
+            b,
+            normal: result.normal,
+            depth: result.depth,
+            points: result.points.map(point => ({ point, normalImpulse: 0 }))
+        });
+
+        // Resting on another object counts as support
+        if (result.normal.y > 0.7) a.userData.onFloor = true;
+        if (result.normal.y < -0.7) b.userData.onFloor = true;
+    }
+
+    // ----- Contact resolution (sequential impulses) -----
+
+    solveContacts(contacts, h) {
+        for (let iter = 0; iter < this.iterations; iter++) {
+            contacts.forEach(contact => {
+                const { a, b, normal } = contact;
+
+                // Impacts on sleeping bodies wake them up
+                if (b && b.userData.sleeping && this.isDynamic(a)) {
+                    const vn = _v1.copy(a.userData.velocity).dot(normal);
+                    if (vn < -0.3) b.userData.sleeping = false;
+                }
+                if (b && a.userData.sleeping && this.isDynamic(b)) {
+                    const vn = _v1.copy(b.userData.velocity).dot(normal);
+                    if (vn > 0.3) a.userData.sleeping = false;
+                }
+
+                contact.points.forEach(cp => this.solvePoint(a, b, normal, cp, h));
+            });
+        }
+    }
+
+    solvePoint(a, b, normal, cp, h) {
+        const invMassA = this.invMass(a);
+        const invMassB = b ? this.invMass(b) : 0;
+        if (invMassA + invMassB === 0) return;
+
+        const rA = new THREE.Vector3().subVectors(cp.point, a.position);
+        const rB = b ? new THREE.Vector3().subVectors(cp.point, b.position) : null;
+
+        const relVel = () => {
+            const v = this.pointVelocity(a, rA);
+            if (b) v.sub(this.pointVelocity(b, rB));
+            return v;
+        };
+
+        const effectiveMass = (dir) => {
+            let k = invMassA + invMassB;
+            const tA = this.applyInvInertia(a, _v1.crossVectors(rA, dir), new THREE.Vector3());
+            k += _v2.crossVectors(tA, rA).dot(dir);
+            if (b) {
+                const tB = this.applyInvInertia(b, _v1.crossVectors(rB, dir), new THREE.Vector3());
+                k += _v2.crossVectors(tB, rB).dot(dir);
+            }
+            return k;
+        };
+
+        // Normal impulse
+        const vel = relVel();
+        const vn = vel.dot(normal);
+        const bounce = vn < -1.0 ? this.restitution : 0;
+        const kn = effectiveMass(normal);
+        let jn = -(1 + bounce) * vn / kn;
+
+        const accumulated = Math.max(cp.normalImpulse + jn, 0);
+        jn = accumulated - cp.normalImpulse;
+        cp.normalImpulse = accumulated;
+
+        this.applyImpulse(a, b, rA, rB, normal.clone().multiplyScalar(jn));
+
+        // Friction impulse (Coulomb cone, clamped by the normal impulse)
+        const vel2 = relVel();
+        const tangent = vel2.sub(normal.clone().multiplyScalar(vel2.dot(normal)));
+        const vt = tangent.length();
+        if (vt < 1e-6) return;
+        tangent.divideScalar(vt);
+
+        const kt = effectiveMass(tangent);
+        const maxFriction = this.friction * cp.normalImpulse;
+        const jt = Math.max(-maxFriction, Math.min(maxFriction, -vt / kt));
+
+        this.applyImpulse(a, b, rA, rB, tangent.multiplyScalar(jt));
+    }
+
+    pointVelocity(body, r) {
+        const u = body.userData;
+        if (!this.isDynamic(body)) return new THREE.Vector3();
+        return new THREE.Vector3().crossVectors(u.angularVelocity, r).add(u.velocity);
+    }
+
+    applyImpulse(a, b, rA, rB, impulse) {
+        if (this.isDynamic(a)) {
+            a.userData.velocity.addScaledVector(impulse, a.userData.invMass);
+            a.userData.angularVelocity.add(this.applyInvInertia(a, _v1.crossVectors(rA, impulse), new THREE.Vector3()));
+        }
+        if (b && this.isDynamic(b)) {
+            b.userData.velocity.addScaledVector(impulse, -b.userData.invMass);
+            b.userData.angularVelocity.sub(this.applyInvInertia(b, _v1.crossVectors(rB, impulse), new THREE.Vector3()));
+        }
+    }
+
+    /**
+     * Remove remaining penetration (split by inverse mass)
+     */
+    correctPositions(contacts) {
+        contacts.forEach(({ a, b, normal, depth }) => {
+            const invMassA = this.invMass(a);
+            const invMassB = b ? this.invMass(b) : 0;
+            const total = invMassA + invMassB;
+            if (total === 0) return;
+
+            const correction = Math.max(depth - this.slop, 0) * 0.8 / total;
+            a.position.addScaledVector(normal, correction * invMassA);
+            if (b) b.position.addScaledVector(normal, -correction * invMassB);
+        });
+    }
+
+    /**
+     * Put supported bodies that stopped moving to sleep so stacks stay still
+     */
+    updateSleep(h, bodies, contacts) {
+        const supported = new Set();
+        contacts.forEach(({ a, b, normal }) => {
+            if (normal.y > 0.7) supported.add(a);
+            if (b && normal.y < -0.7) supported.add(b);
+        });
+
+        bodies.forEach(body => {
+            if (!this.isDynamic(body)) return;
+            const u = body.userData;
+
+            const resting = supported.has(body) &&
+                u.velocity.length() < this.sleepLinear &&
+                u.angularVelocity.length() < this.sleepAngular;
+
+            u.sleepTimer = resting ? u.sleepTimer + h : 0;
+            if (u.sleepTimer > this.sleepTime) {
+                u.sleeping = true;
+                u.velocity.set(0, 0, 0);
+                u.angularVelocity.set(0, 0, 0);
+            }
+        });
+    }
+}
+
+// ----- Geometry helpers -----
+
+function boundingRadius(shape) {
+    const [x, y, z] = halfExtentsOf(shape);
+    return Math.sqrt(x * x + y * y + z * z);
+}
+
+export function closestPointOnSegment(p, a, b) {
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const len2 = ab.lengthSq();
+    if (len2 === 0) return a.clone();
+    const t = Math.max(0, Math.min(1, new THREE.Vector3().subVectors(p, a).dot(ab) / len2));
+    return a.clone().addScaledVector(ab, t);
+}
+
+// Local axes of an oriented body
+function bodyAxes(body) {
+    return [
+        new THREE.Vector3(1, 0, 0).applyQuaternion(body.quaternion),
+        new THREE.Vector3(0, 1, 0).applyQuaternion(body.quaternion),
+        new THREE.Vector3(0, 0, 1).applyQuaternion(body.quaternion)
+    ];
+}
+
+// World-space points used for floor contact: box corners or cylinder rims
+function supportVertices(body) {
+    const shape = body.userData.shape;
+    const local = [];
+
+    if (shape.kind === 'cylinder') {
+        const segments = 8;
+        for (let i = 0; i < segments; i++) {
+            const ang = (i / segments) * Math.PI * 2;
+            const x = Math.cos(ang) * shape.radius;
+            const z = Math.sin(ang) * shape.radius;
+            local.push([x, shape.halfHeight, z], [x, -shape.halfHeight, z]);
+        }
+    } else {
+        const [hx, hy, hz] = shape.halfExtents;
+        for (const sx of [-1, 1]) {
+            for (const sy of [-1, 1]) {
+                for (const sz of [-1, 1]) {
+                    local.push([sx * hx, sy * hy, sz * hz]);
+                }
+            }
+        }
+    }
+
+    return local.map(p => new THREE.Vector3(...p).applyQuaternion(body.quaternion).add(body.position));
+}
+
+function sphereSphere(a, b) {
+    const ra = a.userData.shape.radius;
+    const rb = b.userData.shape.radius;
+    const delta = new THREE.Vector3().subVectors(a.position, b.position);
+    const dist = delta.length();
+    const depth = ra + rb - dist;
+    if (depth <= 0) return null;
+
+    const normal = dist > 1e-6 ? delta.divideScalar(dist) : new THREE.Vector3(0, 1, 0);
+    const point = b.position.clone().addScaledVector(normal, rb - depth / 2);
+    return { normal, depth, points: [point] };
+}
+
+// Sphere a against box-like b; normal points from b to a
+function sphereBox(a, b) {
+    const radius = a.userData.shape.radius;
+    const half = halfExtentsOf(b.userData.shape);
+    const axes = bodyAxes(b);
+    const d = new THREE.Vector3().subVectors(a.position, b.position);
+
+    const closest = b.position.clone();
+    let inside = true;
+    let minFace = { dist: Infinity, axis: 0, sign: 1 };
+
+    for (let i = 0; i < 3; i++) {
+        const proj = d.dot(axes[i]);
+        const clamped = Math.max(-half[i], Math.min(half[i], proj));
+        if (clamped !== proj) inside = false;
+        closest.addScaledVector(axes[i], clamped);
+
+        const faceDist = half[i] - Math.abs(proj);
+        if (faceDist < minFace.dist) minFace = { dist: faceDist, axis: i, sign: Math.sign(proj) || 1 };
+    }
+
+    if (inside) {
+        const normal = axes[minFace.axis].clone().multiplyScalar(minFace.sign);
+        return { normal, depth: minFace.dist + radius, points: [a.position.clone()] };
+    }
+
+    const delta = new THREE.Vector3().subVectors(a.position, closest);
+    const dist = delta.length();
+    const depth = radius - dist;
+    if (depth <= 0) return null;
+
+    return { normal: delta.divideScalar(dist), depth, points: [closest] };
+}
+
+// Oriented box a against oriented box b (separating axis test); normal points from b to a
+function boxBox(a, b) {
+    const ha = halfExtentsOf(a.userData.shape);
+    const hb = halfExtentsOf(b.userData.shape);
+    const axA = bodyAxes(a);
+    const axB = bodyAxes(b);
+    const delta = new THREE.Vector3().subVectors(a.position, b.position);
+
+    const candidates = [...axA, ...axB];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const c = new THREE.Vector3().crossVectors(axA[i], axB[j]);
+            if (c.lengthSq() > 1e-6) candidates.push(c.normalize());
+        }
+    }
+
+    let best = null;
+    candidates.forEach((axis, index) => {
+        const ra = ha[0] * Math.abs(axA[0].dot(axis)) + ha[1] * Math.abs(axA[1].dot(axis)) + ha[2] * Math.abs(axA[2].dot(axis));
+        const rb = hb[0] * Math.abs(axB[0].dot(axis)) + hb[1] * Math.abs(axB[1].dot(axis)) + hb[2] * Math.abs(axB[2].dot(axis));
+        const dist = delta.dot(axis);
+        const overlap = ra + rb - Math.abs(dist);
+        if (overlap <= 0) {
+            best = { separated: true };
+            return;
+        }
+        if (best && best.separated) return;
+
+        // Prefer face normals over edge normals for stable stacking
+        const score = index >= 6 ? overlap * 1.05 : overlap;
+        if (!best || score < best.score) {
+            best = { score, overlap, axis, index, sign: Math.sign(dist) || 1 };
+        }
+    });
+
+    if (!best || best.separated) return null;
+
+    const normal = best.axis.clone().multiplyScalar(best.sign);
+
+    let points = [];
+    if (best.index < 6) {
+        // Face contact: clip the incident face against the reference face
+        const refIsA = best.index < 3;
+        points = clipFaceContacts(
+            refIsA ? a : b, refIsA ? ha : hb, refIsA ? axA : axB, best.index % 3,
+            refIsA ? b : a, refIsA ? hb : ha, refIsA ? axB : axA,
+            refIsA ? normal.clone().negate() : normal
+        );
+    }
+
+    if (points.length === 0) {
+        // Edge-edge contact: midpoint between the centers
+        points.push(b.position.clone().addScaledVector(delta, 0.5));
+    }
+
+    return { normal, depth: best.overlap, points };
+}
+
+/**
+ * Contact points of a face-face touch (Sutherland-Hodgman clipping)
+ * @param refNormal - Reference face normal pointing from the reference box towards the incident box
+ */
+function clipFaceContacts(ref, refHalf, refAxes, refAxis, inc, incHalf, incAxes, refNormal) {
+    // Incident face: the face of the other box most opposed to the reference normal
+    let incAxis = 0;
+    let bestDot = 0;
+    incAxes.forEach((ax, i) => {
+        const d = ax.dot(refNormal);
+        if (Math.abs(d) > Math.abs(bestDot)) {
+            bestDot = d;
+            incAxis = i;
+        }
+    });
+
+    const incSign = bestDot > 0 ? -1 : 1;
+    const incCenter = inc.position.clone().addScaledVector(incAxes[incAxis], incHalf[incAxis] * incSign);
+    const [u, v] = [0, 1, 2].filter(i => i !== incAxis);
+
+    let polygon = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([su, sv]) => incCenter.clone()
+        .addScaledVector(incAxes[u], incHalf[u] * su)
+        .addScaledVector(incAxes[v], incHalf[v] * sv));
+
+    // Clip against the four side planes of the reference face
+    [0, 1, 2].filter(i => i !== refAxis).forEach(i => {
+        [1, -1].forEach(sign => {
+            const n = refAxes[i].clone().multiplyScalar(sign);
+            const offset = n.dot(ref.position) + refHalf[i];
+            polygon = clipPolygon(polygon, n, offset);
+        });
+    });
+
+    // Keep points below the reference face
+    const faceOffset = refNormal.dot(ref.position) + refHalf[refAxis];
+    return polygon.filter(p => refNormal.dot(p) - faceOffset <= 0.005);
+}
+
+// Keep the part of the polygon where n·p <= offset
+function clipPolygon(polygon, n, offset) {
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i];
+        const q = polygon[(i + 1) % polygon.length];
+        const dp = n.dot(p) - offset;
+        const dq = n.dot(q) - offset;
+
+        if (dp <= 0) result.push(p);
+        if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+            result.push(p.clone().lerp(q, dp / (dp - dq)));
+        }
+    }
+    return result;
+}
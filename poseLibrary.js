@@ -0,0 +1,147 @@
+// Pose Library - Named joint configurations ("home", "above bin A", "pre-grasp", ...)
+// Built-in poses ship with the simulator, user poses live in Storage and can be shared
+// as a JSON file. Moves to a pose are synchronized: all joints start and arrive together.
+
+import { JOINT_NAMES, JOINT_LIMITS } from './kinematics.js';
+
+export const POSE_FILE_FORMAT = '3d-arm-poses';
+export const POSE_FILE_VERSION = 1;
+
+export const HOME_POSE = {
+    base: 0,
+    shoulder: 0,
+    elbow: 0,
+    wristPitch: 0,
+    wristRoll: 0,
+    gripper: 0
+};
+
+export const BUILT_IN_POSES = [
+    { name: 'home', angles: HOME_POSE, builtIn: true }
+];
+
+const SAMPLE_RATE = 60; // Plan samples per second
+
+export function isBuiltInPose(name) {
+    return BUILT_IN_POSES.some(pose => pose.name === name);
+}
+
+/**
+ * Check a pose file entry
+ * @returns {string|null} Error message
+ */
+function validatePose(pose) {
+    if (!pose || typeof pose !== 'object') return 'keine Pose';
+    if (typeof pose.name !== 'string' || !pose.name.trim()) return 'Name fehlt';
+    if (!pose.angles || typeof pose.angles !== 'object') return 'Gelenkwinkel fehlen';
+
+    for (const joint of JOINT_NAMES) {
+        const value = pose.angles[joint];
+        const limits = JOINT_LIMITS[joint];
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${joint} fehlt oder ist keine Zahl`;
+        if (value < limits.min || value > limits.max) {
+            return `${joint}=${value}° außerhalb von ${limits.min}°..${limits.max}°`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Synchronized joint move as a plan for sampleAnglesAt (same shape as planCartesianPath)
+ * The slowest joint sets the duration; a smoothstep profile starts and stops without jerk.
+ * @param {Object} startAngles - Current joint positions
+ * @param {Object} targetAngles - Pose to reach (arm joints, the gripper is moved separately)
+ * @param {Object} jointVelocities - Maximum velocity per joint in degrees/s
+ * @returns {Object} { reachable, samples: [{ time, angles }], duration }
+ */
+export function planPoseMove(startAngles, targetAngles, jointVelocities) {
+    const joints = JOINT_NAMES.filter(name => name !== 'gripper');
+
+    // Smoothstep peaks at 1.5x the average velocity
+    let duration = 0;
+    joints.forEach(joint => {
+        const distance = Math.abs((targetAngles[joint] ?? startAngles[joint]) - startAngles[joint]);
+        duration = Math.max(duration, 1.5 * distance / jointVelocities[joint]);
+    });
+
+    const count = Math.max(1, Math.ceil(duration * SAMPLE_RATE));
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const t = i / count;
+        const eased = t * t * (3 - 2 * t);
+        const angles = {};
+        joints.forEach(joint => {
+            const from = startAngles[joint];
+            const to = targetAngles[joint] ?? from;
+            angles[joint] = from + (to - from) * eased;
+        });
+        samples.push({ time: t * duration, angles });
+    }
+
+    return { reachable: true, samples, duration };
+}
+
+/**
+ * Build a pose file from user poses
+ */
+export function createPoseFile(poses) {
+    return {
+        format: POSE_FILE_FORMAT,
+        version: POSE_FILE_VERSION,
+        created: new Date().toISOString(),
+        poses: poses.map(({ name, angles }) => ({ name, angles: { ...angles } }))
+    };
+}
+
+/**
+ * Parse and validate a pose file (invalid entries and built-in names are skipped)
+ * @param {string|Object} json - File contents
+ * @returns {Object} { poses, errors: [string] } - poses is null if the file cannot be used at all
+ */
+export function parsePoseFile(json) {
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+        return { poses: null, errors: [`Keine gültige JSON-Datei: ${error.message}`] };
+    }
+
+    if (!data || data.format !== POSE_FILE_FORMAT || !Array.isArray(data.poses)) {
+        return { poses: null, errors: ['Die Datei enthält keine Posen-Bibliothek'] };
+    }
+    if (!Number.isInteger(data.version) || data.version > POSE_FILE_VERSION) {
+        return { poses: null, errors: [`Version ${data.version} wird nicht unterstützt (höchstens ${POSE_FILE_VERSION})`] };
+    }
+
+    const poses = [];
+    const errors = [];
+    data.poses.forEach((pose, i) => {
+        const error = validatePose(pose);
+        if (error) {
+            errors.push(`Pose ${i + 1}: ${error}`);
+        } else if (isBuiltInPose(pose.name.trim())) {
+            errors.push(`Pose "${pose.name}": eingebaute Pose wird nicht überschrieben`);
+        } else {
+            const angles = {};
+            JOINT_NAMES.forEach(joint => { angles[joint] = pose.angles[joint]; });
+            poses.push({ name: pose.name.trim(), angles });
+        }
+    });
+
+    return { poses, errors };
+}
+
+/**
+ * Offer a pose file as a download (browser only)
+ */
+export function downloadPoseFile(file) {
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'posen.3darm-poses.json';
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
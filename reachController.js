@@ -0,0 +1,177 @@
+// Reach Controller - Click or drag a 3D target and let the gripper follow
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { solveIK } from './kinematics.js';
+
+export class ReachController {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.enabled = false;
+
+        this.targetPosition = new THREE.Vector3(2, 0.5, 0);
+        this.reachable = true;
+
+        this.hoverHeight = 0.15; // Minimum gripper height for floor clicks
+        this.clickThreshold = 5; // Pixels of pointer travel still counted as a click
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.pointerDownPos = null;
+
+        this.marker = null;
+        this.gizmo = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+    }
+
+    /**
+     * Create marker and gizmo (call after the simulator scene exists)
+     */
+    init() {
+        const { scene, camera, renderer, controls } = this.simulator;
+
+        this.marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 16, 16),
+            new THREE.MeshStandardMaterial({
+                color: 0xff6b35,
+                emissive: 0xff6b35,
+                emissiveIntensity: 0.6,
+                transparent: true,
+                opacity: 0.85
+            })
+        );
+        this.marker.position.copy(this.targetPosition);
+        this.marker.visible = false;
+        scene.add(this.marker);
+
+        this.gizmo = new TransformControls(camera, renderer.domElement);
+        this.gizmo.setMode('translate');
+        this.gizmo.setSize(0.7);
+        this.gizmo.attach(this.marker);
+        this.gizmo.visible = false;
+        this.gizmo.enabled = false;
+        scene.add(this.gizmo);
+
+        // Don't orbit the camera while dragging the gizmo
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            if (controls) controls.enabled = !e.value;
+        });
+
+        this.gizmo.addEventListener('objectChange', () => {
+            if (this.marker.position.y < 0) this.marker.position.y = 0;
+            this.setTarget(this.marker.position);
+        });
+
+        renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+        renderer.domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!this.marker) return;
+
+        this.marker.visible = enabled;
+        this.gizmo.visible = enabled;
+        this.gizmo.enabled = enabled;
+
+        if (enabled) {
+            // Start from the current gripper position so nothing jumps
+            this.targetPosition.copy(this.simulator.getGripperCenterPosition());
+            this.marker.position.copy(this.targetPosition);
+            this.setReachable(true);
+        }
+    }
+
+    /**
+     * Set a new world target for the gripper center
+     */
+    setTarget(position) {
+        this.targetPosition.copy(position);
+        if (this.marker) this.marker.position.copy(position);
+
+        const result = solveIK(this.targetPosition, null, this.simulator.getJointTargets());
+        this.setReachable(result.reachable);
+
+        // The joint motion model moves the arm there smoothly (or it is previewed first)
+        if (result.reachable) {
+            const { gripper, ...pose } = result.angles;
+            this.simulator.commandMotion({ type: 'joints', angles: pose });
+        }
+
+        return result;
+    }
+
+    setReachable(reachable) {
+        this.reachable = reachable;
+        if (this.marker) {
+            const color = reachable ? 0xff6b35 : 0xff0000;
+            this.marker.material.color.setHex(color);
+            this.marker.material.emissive.setHex(color);
+        }
+    }
+
+    onPointerDown(e) {
+        this.pointerDownPos = { x: e.clientX, y: e.clientY };
+    }
+
+    onPointerUp(e) {
+        if (!this.enabled || !this.pointerDownPos) return;
+
+        // Orbit drags and gizmo drags are not clicks
+        const moved = Math.hypot(e.clientX - this.pointerDownPos.x, e.clientY - this.pointerDownPos.y);
+        this.pointerDownPos = null;
+        if (moved > this.clickThreshold || this.gizmo.dragging || this.gizmo.axis) return;
+
+        const point = this.pick(e);
+        if (point) {
+            this.setTarget(point);
+        }
+    }
+
+    /**
+     * Raycast against objects first, then the floor
+     */
+    pick(e) {
+        const rect = this.simulator.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.simulator.camera);
+
+        const objectManager = this.simulator.objectManager;
+        if (objectManager) {
+            const hits = this.raycaster.intersectObjects(objectManager.getAllObjects(), false);
+            if (hits.length > 0) {
+                // Aim for the object's center so the gripper can clamp it
+                return hits[0].object.position.clone();
+            }
+        }
+
+        const floorPoint = new THREE.Vector3();
+        if (this.raycaster.ray.intersectPlane(this.floorPlane, floorPoint)) {
+            floorPoint.y = Math.max(floorPoint.y, this.hoverHeight);
+            return floorPoint;
+        }
+
+        return null;
+    }
+
+    dispose() {
+        const { renderer, scene } = this.simulator;
+        if (renderer) {
+            renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            renderer.domElement.removeEventListener('pointerup', this.onPointerUp);
+        }
+        if (this.gizmo) {
+            this.gizmo.detach();
+            this.gizmo.dispose();
+            scene.remove(this.gizmo);
+        }
+        if (this.marker) {
+            scene.remove(this.marker);
+            this.marker.geometry.dispose();
+            this.marker.material.dispose();
+        }
+    }
+}
@@ -5,6 +5,106 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { ObjectManager } from './objectManager.js';
 import { LevelManager } from './levelManager.js';
 import { Storage } from './storage.js';
+import { AnimationSystem } from './animationSystem.js';
+import { solveIK, getTcpPose, JOINT_NAMES, JOINT_LIMITS } from './kinematics.js';
+import { ReachController } from './reachController.js';
+import { LevelEditor } from './levelEditor.js';
+import { getArmCapsules, checkArmCollisions } from './collision.js';
+import { SimulationClock } from './simulationClock.js';
+import { ScriptRunner } from './scriptRunner.js';
+import { ProgramInterpreter } from './robotProgram.js';
+import { WorkspaceOverlay } from './workspaceOverlay.js';
+import { TeleopController } from './teleop.js';
+import { GhostArm } from './ghostArm.js';
+import { BUILT_IN_POSES, HOME_POSE, isBuiltInPose, planPoseMove } from './poseLibrary.js';
+import { linearPath, arcPath, planCartesianPath, sampleAnglesAt, describePlanFailure } from './cartesianPath.js';
+
+// Per-joint dynamics (degrees/s and degrees/s²)
+const JOINT_DYNAMICS = {
+    base: { maxVelocity: 90, maxAcceleration: 180 },
+    shoulder: { maxVelocity: 60, maxAcceleration: 120 },
+    elbow: { maxVelocity: 75, maxAcceleration: 150 },
+    wristPitch: { maxVelocity: 120, maxAcceleration: 240 },
+    wristRoll: { maxVelocity: 180, maxAcceleration: 360 },
+    gripper: { maxVelocity: 60, maxAcceleration: 240 }
+};
+
+/**
+ * Single joint with position limits and a trapezoidal velocity profile
+ */
+class JointModel {
+    constructor(name, limits, dynamics) {
+        this.name = name;
+        this.min = limits.min;
+        this.max = limits.max;
+        this.maxVelocity = dynamics.maxVelocity;
+        this.maxAcceleration = dynamics.maxAcceleration;
+
+        this.position = 0;
+        this.velocity = 0;
+        this.target = 0;
+    }
+
+    clamp(value) {
+        return Math.max(this.min, Math.min(this.max, value));
+    }
+
+    setTarget(value) {
+        this.target = this.clamp(value);
+    }
+
+    /**
+     * Jump to a position without motion
+     */
+    reset(value) {
+        this.position = this.clamp(value);
+        this.target = this.position;
+        this.velocity = 0;
+    }
+
+    isMoving() {
+        return this.velocity !== 0 || this.position !== this.target;
+    }
+
+    /**
+     * Advance towards the target
+     * Accelerates up to maxVelocity and brakes early enough to stop exactly on target.
+     */
+    step(dt) {
+        const error = this.target - this.position;
+
+        if (Math.abs(error) < 1e-4 && Math.abs(this.velocity) < this.maxAcceleration * dt) {
+            this.position = this.target;
+            this.velocity = 0;
+            return;
+        }
+
+        // Fastest velocity that still allows braking before the target
+        const brakingVelocity = Math.sqrt(2 * this.maxAcceleration * Math.abs(error));
+        const desired = Math.sign(error) * Math.min(this.maxVelocity, brakingVelocity);
+
+        const maxDelta = this.maxAcceleration * dt;
+        this.velocity += Math.max(-maxDelta, Math.min(maxDelta, desired - this.velocity));
+
+        const next = this.position + this.velocity * dt;
+
+        // Don't overshoot the target
+        if ((this.target - next) * error <= 0) {
+            this.position = this.target;
+            this.velocity = 0;
+        } else {
+            this.position = this.clamp(next);
+        }
+    }
+}
+
+/**
+ * Notify the UI through a window event (no-op in headless runs without a window)
+ */
+function emitEvent(name, detail) {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent(name, { detail }));
+}
 
 class RobotArmSimulator {
     constructor() {
@@ -17,16 +117,16 @@ class RobotArmSimulator {
         this.baseMount = null;
         this.baseTurntable = null;
         this.shoulderJoint = null;
-        this.upperArmLink = null;
+        this.upperArmGroup = null;
         this.elbowJoint = null;
-        this.forearmLink = null;
+        this.forearmGroup = null;
         this.wristPitchJoint = null;
         this.wristRollJoint = null;
         this.gripperBase = null;
         this.gripperLeftFinger = null;
         this.gripperRightFinger = null;
 
-        // Joint angles
+        // Joint angles (actual pose)
         this.angles = {
             base: 0,
             shoulder: 0,
@@ -36,6 +136,23 @@ class RobotArmSimulator {
             gripper: 0
         };
 
+        // Joint motion model - commanded targets are approached over time
+        this.joints = {};
+        JOINT_NAMES.forEach(name => {
+            this.joints[name] = new JointModel(name, JOINT_LIMITS[name], JOINT_DYNAMICS[name]);
+        });
+        this.motionLimitsEnabled = true;
+
+        // Active planned move (overrides the joint targets): straight line / arc of the gripper
+        // center or a synchronized move to a library pose
+        this.cartesianMotion = null;
+        this.pathLine = null;
+
+        // Collision handling: 'block' stops motion before contact, 'flag' only reports it
+        this.collisionPolicy = 'block';
+        this.activeCollisions = new Set();
+        this.collisionFlash = 0;
+
         // Object manager
         this.objectManager = null;
 
@@ -43,13 +160,54 @@ class RobotArmSimulator {
         this.levelManager = null;
         this.storage = new Storage();
 
+        // Keyframe animation
+        this.animationSystem = new AnimationSystem();
         this.isPlayingAnimation = false;
 
+        // Click-to-reach target mode
+        this.reachController = null;
+
+        // Custom level editing in the scene
+        this.levelEditor = null;
+
+        // Gripper trail and reachability envelope
+        this.workspaceOverlay = null;
+
+        // Student programs (sandboxed JavaScript worker / text robot programs)
+        this.scriptRunner = null;
+        this.programInterpreter = null;
+
+        // Keyboard / gamepad jogging
+        this.teleop = null;
+
+        // Translucent preview of a joint configuration (pose library, motion preview)
+        this.ghostArm = null;
+        // Preview mode: slider and reach mode commands wait as pendingMotion until executed
+        this.previewEnabled = false;
+        this.pendingMotion = null;
+
+        // Fixed timestep simulation clock (seeded for reproducible runs)
+        this.clock = new SimulationClock();
+        this.previousAngles = { ...this.angles };
+        this.lastFrameTime = null;
+
+        this.headless = false;
         this.isActive = false;
     }
 
-    init() {
-        const canvas = document.getElementById('robotCanvas');
+    /**
+     * Build the scene and start the simulation
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - No renderer, canvas, DOM or render loop (Node / CI).
+     *   Advance the world manually with runTicks().
+     * @param {Storage} [options.storage] - Storage to use instead of the default localStorage one
+     * @param {boolean} [options.spawnTestObjects] - Defaults to true in the browser, false headless
+     */
+    init(options = {}) {
+        this.headless = options.headless === true;
+        if (options.storage) {
+            this.storage = options.storage;
+        }
 
         // Scene Setup
         this.scene = new THREE.Scene();
@@ -59,31 +217,16 @@ class RobotArmSimulator {
         // Camera Setup
         this.camera = new THREE.PerspectiveCamera(
             50,
-            window.innerWidth / window.innerHeight,
+            this.headless ? 1 : window.innerWidth / window.innerHeight,
             0.1,
             1000
         );
         this.camera.position.set(6, 5, 6);
         this.camera.lookAt(0, 2, 0);
 
-        // Renderer Setup
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: canvas,
-            antialias: true,
-            alpha: false
-        });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-
-        // Orbit Controls
-        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.target.set(0, 2, 0);
-        this.controls.maxDistance = 20;
-        this.controls.minDistance = 3;
+        if (!this.headless) {
+            this.setupRenderer(document.getElementById('robotCanvas'));
+        }
 
         // Lighting
         this.setupLighting();
@@ -93,21 +236,66 @@ class RobotArmSimulator {
 
         // Robot Arm - REDESIGNED
         this.createRobotArmRedesigned();
+        this.ghostArm = new GhostArm(this);
+        this.ghostArm.init();
+
+        // Browser-only tools: click-to-reach gizmo and level editor (canvas input), program runners (worker, UI events),
+        // keyboard / gamepad teleoperation
+        if (!this.headless) {
+            this.reachController = new ReachController(this);
+            this.reachController.init();
+
+            this.levelEditor = new LevelEditor(this);
+            this.levelEditor.init();
+
+            this.scriptRunner = new ScriptRunner(this);
+            this.programInterpreter = new ProgramInterpreter(this);
+
+            this.teleop = new TeleopController(this);
+            this.teleop.init();
+        }
+
+        this.workspaceOverlay = new WorkspaceOverlay(this);
 
         // Object Manager
         this.objectManager = new ObjectManager(this.scene);
 
         // Level Manager
-        this.levelManager = new LevelManager(this.scene, this.objectManager, this.storage);
+        this.levelManager = new LevelManager(this.scene, this.objectManager, this.storage, this.clock);
 
         // Spawn test objects
-        this.spawnTestObjects();
-
-        // Event Listeners
-        window.addEventListener('resize', () => this.onWindowResize());
+        if (options.spawnTestObjects ?? !this.headless) {
+            this.spawnTestObjects();
+        }
 
         this.isActive = true;
-        this.animate();
+
+        if (!this.headless) {
+            // Event Listeners
+            window.addEventListener('resize', () => this.onWindowResize());
+            this.animate();
+        }
+    }
+
+    setupRenderer(canvas) {
+        // Renderer Setup
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: canvas,
+            antialias: true,
+            alpha: false
+        });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        // Orbit Controls
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.target.set(0, 2, 0);
+        this.controls.maxDistance = 20;
+        this.controls.minDistance = 3;
     }
 
     setupLighting() {
@@ -524,41 +712,183 @@ class RobotArmSimulator {
         parent.add(mesh);
     }
 
-    updateJoints(angles) {
-        // Update angles
-        this.angles = { ...this.angles, ...angles };
+    /**
+     * Command joint targets
+     * @param {Object} angles - Target angles in degrees (partial)
+     * @param {Object} [options] - { immediate: true } skips the motion profile
+     */
+    updateJoints(angles, options = {}) {
+        const immediate = options.immediate || !this.motionLimitsEnabled;
+
+        // New arm joint commands take over from a running Cartesian move
+        if (this.cartesianMotion && Object.keys(angles).some(name => name !== 'gripper')) {
+            this.cartesianMotion = null;
+        }
+
+        Object.entries(angles).forEach(([name, value]) => {
+            const joint = this.joints[name];
+            if (!joint || typeof value !== 'number' || Number.isNaN(value)) return;
+
+            if (immediate) {
+                joint.reset(value);
+            } else {
+                joint.setTarget(value);
+            }
+        });
+
+        if (immediate) {
+            const positions = this.getJointPositions();
+            this.applyJointAngles(positions);
+            this.handleCollisions(this.checkCollisions(positions), false);
+        }
+
+        this.notifyJointsUpdated();
+    }
+
+    // Notify UI (sliders) about the commanded targets
+    notifyJointsUpdated() {
+        emitEvent('jointsUpdated', this.getJointTargets());
+    }
+
+    getJointTargets() {
+        const targets = {};
+        JOINT_NAMES.forEach(name => { targets[name] = this.joints[name].target; });
+        return targets;
+    }
+
+    getJointPositions() {
+        const positions = {};
+        JOINT_NAMES.forEach(name => { positions[name] = this.joints[name].position; });
+        return positions;
+    }
+
+    isMoving() {
+        return this.cartesianMotion !== null || this.jointsMoving();
+    }
+
+    jointsMoving() {
+        return JOINT_NAMES.some(name => this.joints[name].isMoving());
+    }
+
+    /**
+     * Advance all joints along their motion profiles (call every frame)
+     */
+    stepJoints(dt) {
+        if (!this.jointsMoving()) return;
+
+        const previous = this.getJointPositions();
+        JOINT_NAMES.forEach(name => this.joints[name].step(dt));
+        const next = this.getJointPositions();
+
+        const collisions = this.checkCollisions(next);
+
+        // Block: hold the last safe pose and cancel the motion
+        // (a pose that already collides may still move so it can get free)
+        if (collisions.length > 0 && this.getCollisionPolicy() === 'block' &&
+            this.checkCollisions(previous).length === 0) {
+            JOINT_NAMES.forEach(name => this.joints[name].reset(previous[name]));
+            this.handleCollisions(collisions, true);
+            this.notifyJointsUpdated();
+            return;
+        }
+
+        this.applyJointAngles(next);
+        this.handleCollisions(collisions, false);
+    }
+
+    /**
+     * Collision policy - levels may override the simulator default
+     */
+    getCollisionPolicy() {
+        const level = this.levelManager && this.levelManager.isActive ? this.levelManager.currentLevel : null;
+        return (level && level.collisionPolicy) || this.collisionPolicy;
+    }
+
+    /**
+     * Check a pose against itself, the floor and level obstacles
+     */
+    checkCollisions(angles) {
+        const obstacles = this.levelManager ? this.levelManager.getObstacleBoxes() : [];
+        return checkArmCollisions(angles, obstacles);
+    }
+
+    /**
+     * Report new contacts once (armCollision event + level penalty) and update highlighting
+     */
+    handleCollisions(collisions, blocked) {
+        const keyOf = (c) => `${c.type}:${c.links.join('-')}:${c.obstacle ?? ''}`;
+        const keys = new Set(collisions.map(keyOf));
+        const newCollisions = collisions.filter(c => !this.activeCollisions.has(keyOf(c)));
+
+        if (newCollisions.length > 0) {
+            if (this.levelManager && this.levelManager.isActive) {
+                this.levelManager.recordCollision(newCollisions);
+            }
+
+            emitEvent('armCollision', { collisions: newCollisions, blocked: blocked });
+            this.collisionFlash = 0.3;
+        }
+
+        // A blocked pose never entered the collision
+        this.activeCollisions = blocked ? new Set() : keys;
+    }
+
+    // Tint the orange housings red while colliding
+    updateCollisionHighlight(dt) {
+        if (!this.matOrange) return;
+
+        this.collisionFlash = Math.max(0, this.collisionFlash - dt);
+        const colliding = this.activeCollisions.size > 0 || this.collisionFlash > 0;
 
+        this.matOrange.emissive.setHex(colliding ? 0xff0000 : 0xff6b35);
+        this.matOrange.emissiveIntensity = colliding ? 0.6 : 0.05;
+    }
+
+    /**
+     * Set joint rotations and finger positions (visual only, no interaction)
+     * @param {Object} [parts] - Arm to pose (default this arm, see ARM_PARTS in ghostArm.js)
+     */
+    applyPoseToScene(angles, parts = this) {
         // Apply rotations at correct pivot points
-        if (this.baseTurntable) {
-            this.baseTurntable.rotation.y = THREE.MathUtils.degToRad(this.angles.base);
+        if (parts.baseTurntable) {
+            parts.baseTurntable.rotation.y = THREE.MathUtils.degToRad(angles.base);
         }
 
-        if (this.upperArmGroup) {
-            this.upperArmGroup.rotation.z = THREE.MathUtils.degToRad(this.angles.shoulder);
+        if (parts.upperArmGroup) {
+            parts.upperArmGroup.rotation.z = THREE.MathUtils.degToRad(angles.shoulder);
         }
 
-        if (this.elbowJoint) {
-            this.elbowJoint.rotation.z = THREE.MathUtils.degToRad(this.angles.elbow);
+        if (parts.elbowJoint) {
+            parts.elbowJoint.rotation.z = THREE.MathUtils.degToRad(angles.elbow);
         }
 
-        if (this.wristRollGroup) { // Pitch is now on rollGroup parent in V2? No, wristPitchJoint
-            if (this.wristPitchJoint) {
-                this.wristPitchJoint.rotation.x = THREE.MathUtils.degToRad(this.angles.wristPitch);
+        if (parts.wristRollGroup) { // Pitch is now on rollGroup parent in V2? No, wristPitchJoint
+            if (parts.wristPitchJoint) {
+                parts.wristPitchJoint.rotation.x = THREE.MathUtils.degToRad(angles.wristPitch);
             }
         }
 
         // V2 Structure Mapping:
         // wristPitchJoint (Group) -> wristRollGroup (Group) -> wristRollJoint (Group) -> Gripper
-        if (this.wristRollJoint) {
-            this.wristRollJoint.rotation.y = THREE.MathUtils.degToRad(this.angles.wristRoll);
+        if (parts.wristRollJoint) {
+            parts.wristRollJoint.rotation.y = THREE.MathUtils.degToRad(angles.wristRoll);
         }
 
         // Gripper - move fingers inward/outward symmetrically
-        if (this.gripperLeftFinger && this.gripperRightFinger) {
-            const openDistance = THREE.MathUtils.degToRad(this.angles.gripper) * 0.4;
-            this.gripperLeftFinger.position.x = -0.08 - openDistance;
-            this.gripperRightFinger.position.x = 0.08 + openDistance;
+        if (parts.gripperLeftFinger && parts.gripperRightFinger) {
+            const openDistance = THREE.MathUtils.degToRad(angles.gripper) * 0.4;
+            parts.gripperLeftFinger.position.x = -0.08 - openDistance;
+            parts.gripperRightFinger.position.x = 0.08 + openDistance;
         }
+    }
+
+    /**
+     * Apply an actual pose to the scene graph and update gripper interaction
+     */
+    applyJointAngles(angles) {
+        // Update angles
+        this.angles = { ...this.angles, ...angles };
+        this.applyPoseToScene(this.angles);
 
         // Update object manager with gripper position
         if (this.objectManager) {
@@ -624,6 +954,367 @@ class RobotArmSimulator {
         return 0.16 + (openDistance * 2);
     }
 
+    /**
+     * End-effector state for UI readouts (computed with pure forward kinematics)
+     */
+    getEndEffectorState() {
+        const pose = getTcpPose(this.angles);
+        const attached = this.objectManager ? this.objectManager.attachedObject : null;
+
+        return {
+            position: pose.position,
+            orientation: pose.orientation,
+            gripperWidth: this.getGripperWidth(),
+            attachedObject: attached ? {
+                id: attached.userData.id,
+                type: attached.userData.type,
+                color: '#' + attached.material.color.getHexString()
+            } : null
+        };
+    }
+
+    /**
+     * Solve inverse kinematics for the gripper center without moving the arm
+     * @param {THREE.Vector3|Array} position - Target world point
+     * @param {Object} [orientation] - Optional { approach: tool direction, roll: degrees }
+     */
+    solveInverseKinematics(position, orientation = null) {
+        return solveIK(position, orientation, this.getJointTargets());
+    }
+
+    /**
+     * Move the gripper center to a world point
+     * Unreachable targets leave the arm where it is.
+     * @returns {Object} IK result { reachable, angles, positionError, orientationError, reason }
+     */
+    moveGripperTo(position, orientation = null) {
+        const result = this.solveInverseKinematics(position, orientation);
+
+        if (result.reachable) {
+            const { gripper, ...pose } = result.angles;
+            this.updateJoints(pose);
+        }
+
+        return result;
+    }
+
+    /**
+     * Move the gripper center along a straight line
+     * @param {THREE.Vector3|Array} target - End point
+     * @param {Object} [options] - { speed } in units per second, see planCartesianPath
+     * @returns {Object} The plan ({ reachable, reason, failedAt, duration, ... })
+     */
+    moveLinear(target, options = {}) {
+        const start = getTcpPose(this.getJointPositions()).position;
+        return this.startCartesianMotion(linearPath(start, target), options);
+    }
+
+    /**
+     * Move the gripper center along a circular arc through an auxiliary point
+     * @param {THREE.Vector3|Array} via - Point on the arc between start and end
+     * @param {THREE.Vector3|Array} target - End point
+     */
+    moveCircular(via, target, options = {}) {
+        const start = getTcpPose(this.getJointPositions()).position;
+        return this.startCartesianMotion(arcPath(start, via, target), options);
+    }
+
+    /**
+     * Store an arm pose as a named point (gripper opening is not part of it)
+     * @param {Object} [pose] - Joint angles, default the current position
+     * @returns {Object} The stored point { name, angles, position }
+     */
+    teachPoint(name, pose = this.getJointPositions()) {
+        const { gripper, ...angles } = pose;
+        return this.storage.saveTeachPoint({
+            name,
+            angles,
+            position: getTcpPose(angles).position
+        });
+    }
+
+    getTeachPoint(name) {
+        return this.storage.loadTeachPoints().find(point => point.name === name) || null;
+    }
+
+    /**
+     * Drive to a taught point, joint interpolated or on a straight line
+     * @param {Object} [options] - { linear, speed } (speed only for linear moves)
+     * @returns {Object} { reachable, reason }
+     */
+    moveToPoint(name, options = {}) {
+        const point = this.getTeachPoint(name);
+        if (!point) {
+            return { reachable: false, reason: `Punkt "${name}" nicht gefunden` };
+        }
+
+        if (options.linear) {
+            const plan = this.moveLinear(point.position, options.speed ? { speed: options.speed } : {});
+            return { reachable: plan.reachable, reason: plan.reachable ? null : describePlanFailure(plan) };
+        }
+
+        this.updateJoints(point.angles);
+        return { reachable: true, reason: null };
+    }
+
+    startCartesianMotion(path, options = {}) {
+        const plan = this.planCartesianMotion(path, options);
+        this.showPath(path, plan.reachable);
+
+        if (plan.reachable) {
+            this.startMotionPlan(plan);
+        }
+        return plan;
+    }
+
+    /**
+     * Plan a path of the gripper center from the current position (no motion)
+     */
+    planCartesianMotion(path, options = {}) {
+        return planCartesianPath(path, this.getJointPositions(), { jointVelocities: this.getJointVelocities(), ...options });
+    }
+
+    getJointVelocities() {
+        const jointVelocities = {};
+        JOINT_NAMES.forEach(name => { jointVelocities[name] = JOINT_DYNAMICS[name].maxVelocity; });
+        return jointVelocities;
+    }
+
+    /**
+     * Run the joint motion profiles for new targets on copies of the joints
+     * @returns {Object} Plan { reachable, samples: [{ time, angles }], duration } of what updateJoints would do
+     */
+    simulateJointMotion(angles) {
+        const dt = this.clock.fixedDt;
+        const joints = JOINT_NAMES.map(name => {
+            const joint = new JointModel(name, JOINT_LIMITS[name], JOINT_DYNAMICS[name]);
+            Object.assign(joint, {
+                position: this.joints[name].position,
+                velocity: this.joints[name].velocity,
+                target: this.joints[name].target
+            });
+            if (typeof angles[name] === 'number') joint.setTarget(angles[name]);
+            return joint;
+        });
+
+        const sample = () => {
+            const pose = {};
+            joints.forEach(joint => { pose[joint.name] = joint.position; });
+            return pose;
+        };
+
+        const samples = [{ time: 0, angles: sample() }];
+        let time = 0;
+        // Longest possible joint move is well below a minute
+        while (joints.some(joint => joint.isMoving()) && time < 60) {
+            joints.forEach(joint => joint.step(dt));
+            time += dt;
+            samples.push({ time, angles: sample() });
+        }
+
+        return { reachable: true, samples, duration: time };
+    }
+
+    /**
+     * Show where a motion ends and which way the gripper takes, without moving the arm
+     * Runs the same planning as the motion itself and checks every sample for collisions.
+     * @param {Object} command - { type: 'joints', angles } | { type: 'pose', name } | { type: 'linear', position, speed }
+     * @returns {Object} { reachable, reason, angles, colliding, pathColliding }
+     */
+    previewMotion(command) {
+        const current = this.getJointPositions();
+        let plan;
+        let gripper = current.gripper;
+
+        if (command.type === 'pose') {
+            const pose = this.getPose(command.name);
+            if (!pose) return { reachable: false, reason: `Pose "${command.name}" nicht gefunden` };
+            plan = planPoseMove(current, pose.angles, this.getJointVelocities());
+            gripper = pose.angles.gripper;
+        } else if (command.type === 'linear') {
+            const start = getTcpPose(current).position;
+            plan = this.planCartesianMotion(linearPath(start, command.position), command.speed ? { speed: command.speed } : {});
+        } else {
+            plan = this.simulateJointMotion(command.angles);
+            gripper = plan.samples[plan.samples.length - 1].angles.gripper;
+        }
+
+        const path = plan.samples.map(({ angles }) => {
+            const pose = { ...current, ...angles, gripper };
+            return { position: getTcpPose(pose).position, colliding: this.checkCollisions(pose).length > 0 };
+        });
+
+        const angles = { ...current, ...plan.samples[plan.samples.length - 1].angles, gripper };
+        const colliding = this.checkCollisions(angles).length > 0;
+        this.ghostArm.show(angles, { colliding, path });
+
+        return {
+            reachable: plan.reachable,
+            reason: plan.reachable ? null : describePlanFailure(plan),
+            angles,
+            colliding,
+            pathColliding: path.some(point => point.colliding)
+        };
+    }
+
+    /**
+     * Execute a motion command (see previewMotion)
+     */
+    runMotion(command) {
+        if (command.type === 'pose') {
+            this.moveToPose(command.name);
+        } else if (command.type === 'linear') {
+            this.moveLinear(command.position, command.speed ? { speed: command.speed } : {});
+        } else {
+            this.updateJoints(command.angles);
+        }
+    }
+
+    /**
+     * Run a command, or in preview mode show it and keep it until executePendingMotion
+     */
+    commandMotion(command) {
+        if (!this.previewEnabled) {
+            this.runMotion(command);
+            return;
+        }
+
+        this.pendingMotion = command;
+        const preview = this.previewMotion(command);
+        emitEvent('motionPreview', { command, ...preview });
+    }
+
+    executePendingMotion() {
+        const command = this.pendingMotion;
+        this.discardPendingMotion();
+        if (command) this.runMotion(command);
+    }
+
+    discardPendingMotion() {
+        this.pendingMotion = null;
+        this.ghostArm.hide();
+        emitEvent('motionPreview', null);
+    }
+
+    setPreviewEnabled(enabled) {
+        this.previewEnabled = enabled;
+        if (!enabled) this.discardPendingMotion();
+    }
+
+    /**
+     * Drive the arm joints along a plan ({ samples, duration }, see sampleAnglesAt)
+     * The plan takes over from any joint motion still running.
+     */
+    startMotionPlan(plan) {
+        const startAngles = this.getJointPositions();
+        JOINT_NAMES.filter(name => name !== 'gripper').forEach(name => {
+            this.joints[name].reset(startAngles[name]);
+        });
+        this.cartesianMotion = { plan, elapsed: 0 };
+    }
+
+    /**
+     * Built-in and saved poses
+     * @returns {Array} [{ name, angles, builtIn? }]
+     */
+    getPoses() {
+        return [...BUILT_IN_POSES, ...this.storage.loadPoses()];
+    }
+
+    getPose(name) {
+        return this.getPoses().find(pose => pose.name === name) || null;
+    }
+
+    /**
+     * Save a joint configuration in the pose library
+     * @param {Object} [angles] - Joint angles, default the current position
+     * @returns {Object|null} The stored pose, null for the name of a built-in pose
+     */
+    savePose(name, angles = this.getJointPositions()) {
+        if (isBuiltInPose(name)) return null;
+        return this.storage.savePose(name, angles);
+    }
+
+    /**
+     * Show the move to a pose as ghost arm (null goes back to the pending motion, if any)
+     */
+    previewPose(name) {
+        if (name) return this.previewMotion({ type: 'pose', name });
+
+        if (this.pendingMotion) {
+            this.previewMotion(this.pendingMotion);
+        } else {
+            this.ghostArm.hide();
+        }
+        return null;
+    }
+
+    /**
+     * Move to a library pose, all joints starting and arriving together
+     * @returns {boolean} False if there is no such pose
+     */
+    moveToPose(name) {
+        const pose = this.getPose(name);
+        if (!pose) return false;
+
+        this.startMotionPlan(planPoseMove(this.getJointPositions(), pose.angles, this.getJointVelocities()));
+        this.updateJoints({ gripper: pose.angles.gripper });
+        return true;
+    }
+
+    stepCartesianMotion(dt) {
+        const motion = this.cartesianMotion;
+        if (!motion) return;
+
+        motion.elapsed += dt;
+        const previous = this.getJointPositions();
+        const next = { ...previous, ...sampleAnglesAt(motion.plan, motion.elapsed) };
+        const collisions = this.checkCollisions(next);
+
+        // Same blocking rule as stepJoints
+        if (collisions.length > 0 && this.getCollisionPolicy() === 'block' &&
+            this.checkCollisions(previous).length === 0) {
+            this.cartesianMotion = null;
+            this.handleCollisions(collisions, true);
+            return;
+        }
+
+        JOINT_NAMES.filter(name => name !== 'gripper').forEach(name => {
+            this.joints[name].reset(next[name]);
+        });
+        this.applyJointAngles(this.getJointPositions());
+        this.handleCollisions(collisions, false);
+
+        if (motion.elapsed >= motion.plan.duration) {
+            this.cartesianMotion = null;
+        }
+        this.notifyJointsUpdated();
+    }
+
+    // Planned path as a line in the scene (red if it cannot be driven)
+    showPath(path, reachable) {
+        if (!this.scene) return;
+
+        const count = Math.max(2, Math.ceil(path.length / 0.02) + 1);
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push(new THREE.Vector3(...path.pointAt((path.length * i) / (count - 1))));
+        }
+
+        if (!this.pathLine) {
+            this.pathLine = new THREE.Line(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: 0xffa502, transparent: true, opacity: 0.9 })
+            );
+            this.scene.add(this.pathLine);
+        }
+
+        this.pathLine.geometry.dispose();
+        this.pathLine.geometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.pathLine.material.color.setHex(reachable ? 0xffa502 : 0xff0000);
+        this.pathLine.visible = true;
+    }
+
     spawnTestObjects() {
         if (!this.objectManager) return;
         this.objectManager.spawnObject('cube', new THREE.Vector3(2, 0.15, 0), '#ff6b35', 0.3);
@@ -631,15 +1322,18 @@ class RobotArmSimulator {
         this.objectManager.spawnObject('cube', new THREE.Vector3(0, 0.15, -2), '#ffa502', 0.3);
     }
 
-    resetPosition() {
-        this.updateJoints({
-            base: 0,
-            shoulder: 0,
-            elbow: 0,
-            wristPitch: 0,
-            wristRoll: 0,
-            gripper: 0
-        });
+    /**
+     * Back to the built-in "home" pose
+     * @param {Object} [options] - { immediate: true } jumps there without a motion (e.g. before a level starts)
+     */
+    resetPosition(options = {}) {
+        if (!options.immediate) {
+            this.moveToPose('home');
+            return;
+        }
+
+        this.updateJoints(HOME_POSE, { immediate: true });
+        this.previousAngles = { ...this.angles };
     }
 
     clearObjects() {
@@ -648,6 +1342,53 @@ class RobotArmSimulator {
         }
     }
 
+    /**
+     * Snapshot of the sandbox: objects, joint angles, camera pose and the gripped object
+     */
+    exportScene() {
+        return {
+            version: 1,
+            joints: this.getJointPositions(),
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls ? this.controls.target.toArray() : [0, 2, 0]
+            },
+            objects: this.objectManager.exportToJSON()
+        };
+    }
+
+    /**
+     * Restore a snapshot from exportScene
+     * Running programs, playback and Cartesian moves are stopped first.
+     */
+    importScene(sceneData) {
+        if (this.scriptRunner) this.scriptRunner.stop();
+        if (this.programInterpreter) this.programInterpreter.stop();
+        this.animationSystem.pause();
+        this.cartesianMotion = null;
+
+        // Arm first without objects, so the jump cannot grab or push anything
+        this.objectManager.clearAll();
+        this.updateJoints(sceneData.joints, { immediate: true });
+
+        const meshes = this.objectManager.importFromJSON(sceneData.objects);
+        const attachedIndex = sceneData.objects.findIndex(obj => obj.attached);
+        if (attachedIndex >= 0) {
+            this.objectManager.attachToGripper(meshes[attachedIndex], this.gripperBase);
+            this.objectManager.updateAttachedObject(this.getGripperCenterPosition());
+        }
+
+        if (sceneData.camera) {
+            this.camera.position.fromArray(sceneData.camera.position);
+            if (this.controls) {
+                this.controls.target.fromArray(sceneData.camera.target);
+                this.controls.update();
+            } else {
+                this.camera.lookAt(...sceneData.camera.target);
+            }
+        }
+    }
+
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
@@ -655,82 +1396,205 @@ class RobotArmSimulator {
     }
 
     /**
-     * Get array of collision spheres for the robot arm
+     * Get capsule colliders of the arm links that push objects
+     * @returns {Array} [{ start: THREE.Vector3, end: THREE.Vector3, radius }]
      */
     getColliders() {
-        const colliders = [];
-
-        // Helper to add collider
-        const add = (obj, radius) => {
-            if (obj) {
-                const pos = new THREE.Vector3();
-                obj.getWorldPosition(pos);
-                colliders.push({ position: pos, radius: radius });
-            }
-        };
-
-        // Add colliders for new high-fidelity parts
-        if (this.baseMount) add(this.baseMount, 0.8);
-        if (this.baseTurntable) add(this.baseTurntable, 0.7);
-        // Shoulder is now a group, use its position
-        if (this.shoulderJoint) add(this.shoulderJoint, 0.5);
+        return getArmCapsules(this.angles)
+            .filter(capsule => capsule.objects)
+            .map(capsule => ({
+                start: new THREE.Vector3(...capsule.start),
+                end: new THREE.Vector3(...capsule.end),
+                radius: capsule.radius
+            }));
+    }
 
-        // Upper arm needs multiple colliders along the beam
-        if (this.upperArmLink) {
-            const start = new THREE.Vector3();
-            const end = new THREE.Vector3();
-            this.upperArmLink.getWorldPosition(start); // Center (0.8 up)
-            // Approx positions along the arm
-            colliders.push({ position: start, radius: 0.4 });
+    /**
+     * Advance the simulation by one fixed step
+     * Everything that changes the simulated world happens here, never in rendering.
+     * @returns {Object|null} Level status if the level ended in this step
+     */
+    simulationStep(dt) {
+        this.previousAngles = { ...this.angles };
+        if (this.objectManager) {
+            this.objectManager.storePreviousState();
         }
 
-        if (this.elbowJoint) add(this.elbowJoint, 0.4);
-
-        // Forearm
-        if (this.forearmLink) {
-            const pos = new THREE.Vector3();
-            this.forearmLink.getWorldPosition(pos);
-            add(this.forearmLink, 0.3);
+        // Keyframe playback drives the joints
+        if (this.animationSystem && this.animationSystem.playing) {
+            const animAngles = this.animationSystem.update(dt);
+            if (animAngles) {
+                this.updateJoints(animAngles);
+            }
         }
+        this.isPlayingAnimation = this.animationSystem ? this.animationSystem.playing : false;
 
-        if (this.wristPitchJoint) add(this.wristPitchJoint, 0.3);
-        if (this.gripperBase) add(this.gripperBase, 0.25);
-
-        return colliders;
-    }
-
-    animate() {
-        if (!this.isActive) return;
+        // Keyboard / gamepad jogging
+        if (this.teleop) {
+            this.teleop.update(dt);
+        }
 
-        requestAnimationFrame(() => this.animate());
+        // Move joints towards their commanded targets (or along the Cartesian path)
+        this.stepCartesianMotion(dt);
+        this.stepJoints(dt);
+        this.updateCollisionHighlight(dt);
 
-        // Update Physics (Fixed DT for consistency)
-        const dt = 0.016;
         if (this.objectManager) {
             // Get colliders from arm
             const armColliders = this.getColliders ? this.getColliders() : [];
             this.objectManager.update(dt, armColliders);
         }
 
+        // Finish script motions / waits once the arm has arrived
+        if (this.scriptRunner) {
+            this.scriptRunner.update(dt);
+        }
+        if (this.programInterpreter) {
+            this.programInterpreter.update(dt);
+        }
+
+        this.clock.onStep();
+
+        if (this.workspaceOverlay) {
+            this.workspaceOverlay.update();
+        }
+
         // Update Level Manager
         if (this.levelManager && this.levelManager.isActive) {
-            const levelStatus = this.levelManager.update();
+            const levelStatus = this.levelManager.update({
+                previousAngles: this.previousAngles,
+                angles: this.angles,
+                moving: this.isMoving()
+            });
             if (levelStatus && levelStatus.status === 'completed') {
                 console.log('Level Completed!', levelStatus);
                 this.levelManager.completeLevel();
 
                 // Dispatch custom event for UI to catch
-                const event = new CustomEvent('levelCompleted', { detail: levelStatus });
-                window.dispatchEvent(event);
+                emitEvent('levelCompleted', levelStatus);
+                return levelStatus;
+            }
+            if (levelStatus && levelStatus.status === 'failed') {
+                const result = this.levelManager.failLevel(levelStatus.reason);
+
+                // Halt scripts, playback and the arm where they are
+                if (this.scriptRunner) this.scriptRunner.stop();
+                if (this.programInterpreter) this.programInterpreter.stop();
+                this.animationSystem.pause();
+                this.updateJoints(this.getJointPositions());
+
+                emitEvent('levelFailed', result);
+                return levelStatus;
             }
         }
 
+        return null;
+    }
+
+    /**
+     * Run a number of fixed steps synchronously (headless tests, scripted scenarios)
+     * Stops early when the active level ends.
+     * @param {number} ticks - Number of steps of clock.fixedDt
+     * @returns {Object|null} Level status if the level ended, otherwise null
+     */
+    runTicks(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            const levelStatus = this.simulationStep(this.clock.fixedDt);
+            if (levelStatus) return levelStatus;
+        }
+        return null;
+    }
+
+    /**
+     * Seeded random number from the simulation clock
+     */
+    random() {
+        return this.clock.random();
+    }
+
+    animate(now = performance.now()) {
+        if (!this.isActive) return;
+
+        requestAnimationFrame((t) => this.animate(t));
+
+        // Real frame time drives the accumulator, the simulation always uses fixed steps
+        const realDt = this.lastFrameTime === null ? 0 : Math.min((now - this.lastFrameTime) / 1000, 0.25);
+        this.lastFrameTime = now;
+
+        const steps = this.clock.advance(realDt);
+        for (let i = 0; i < steps; i++) {
+            this.simulationStep(this.clock.fixedDt);
+        }
+
         this.controls.update();
+        this.render(this.clock.alpha);
+    }
+
+    /**
+     * Render an interpolated state between the last two simulation steps
+     */
+    render(alpha) {
+        const interpolate = alpha < 1;
+
+        if (interpolate) {
+            const pose = {};
+            Object.keys(this.angles).forEach(joint => {
+                const from = this.previousAngles[joint] ?? this.angles[joint];
+                pose[joint] = from + (this.angles[joint] - from) * alpha;
+            });
+            this.applyPoseToScene(pose);
+            if (this.objectManager) this.objectManager.applyRenderInterpolation(alpha);
+        }
+
         this.renderer.render(this.scene, this.camera);
+
+        // Restore the simulated state
+        if (interpolate) {
+            this.applyPoseToScene(this.angles);
+            if (this.objectManager) this.objectManager.restoreSimulationState();
+        }
+    }
+
+    // Simulation controls
+    pauseSimulation() {
+        this.clock.pause();
+    }
+
+    resumeSimulation() {
+        this.clock.resume();
+    }
+
+    stepSimulation() {
+        this.clock.stepOnce();
+    }
+
+    setSimulationSpeed(scale) {
+        this.clock.setTimeScale(scale);
     }
 
     dispose() {
         this.isActive = false;
+        if (this.reachController) {
+            this.reachController.dispose();
+        }
+        if (this.levelEditor) {
+            this.levelEditor.dispose();
+        }
+        if (this.scriptRunner) {
+            this.scriptRunner.stop();
+        }
+        if (this.programInterpreter) {
+            this.programInterpreter.stop();
+        }
+        if (this.workspaceOverlay) {
+            this.workspaceOverlay.dispose();
+        }
+        if (this.teleop) {
+            this.teleop.dispose();
+        }
+        if (this.ghostArm) {
+            this.ghostArm.dispose();
+        }
         if (this.controls) {
             this.controls.dispose();
         }
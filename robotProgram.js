@@ -0,0 +1,496 @@
+// Robot Program - Parser and interpreter for plain-text robot programs
+// A small MOVJ/MOVL/GRIP/WAIT subset in the spirit of RAPID/KRL, one instruction per line:
+//
+//   ; comment
+//   start:                      label
+//   MOVJ J1=30 J2=-20 J3=45     joint move (degrees, J1..J5 or base/shoulder/...; or 5 positional values)
+//   MOVJ P1                     joint move to a taught point (teach pendant)
+//   MOVL X=2 Y=0.5 Z=0 V=0.3    straight line of the gripper center (optional speed in units/s)
+//   MOVL P1 V=0.3               straight line to a taught point
+//   MOVC AX=2 AY=1 AZ=0.5 X=1.5 Y=0.5 Z=1   circular arc through an auxiliary point
+//   GRIP OPEN | GRIP CLOSE | GRIP 20
+//   WAIT 1.5                    seconds
+//   LOOP 3 ... ENDLOOP          repeat a block
+//   JMP start                   jump to a label
+//   END                         stop the program
+
+import { JOINT_NAMES, JOINT_LIMITS } from './kinematics.js';
+import { describePlanFailure } from './cartesianPath.js';
+
+// Arm joints addressable by MOVJ (the gripper has its own instruction)
+const ARM_JOINTS = JOINT_NAMES.filter(name => name !== 'gripper');
+
+const JOINT_ALIASES = {
+    J1: 'base', J2: 'shoulder', J3: 'elbow', J4: 'wristPitch', J5: 'wristRoll'
+};
+ARM_JOINTS.forEach(name => { JOINT_ALIASES[name.toUpperCase()] = name; });
+
+const OPCODES = ['MOVJ', 'MOVL', 'MOVC', 'GRIP', 'WAIT', 'LOOP', 'ENDLOOP', 'JMP', 'END'];
+
+// Instructions executed in one update without a motion before we assume an endless loop
+const MAX_INSTRUCTIONS_PER_STEP = 1000;
+
+const POINT_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Taught point names must be usable as a program operand
+ */
+export function isValidPointName(name) {
+    return POINT_NAME.test(name);
+}
+
+function findPoint(op, name, points) {
+    const point = points.find(p => p.name === name);
+    if (!point) throw new Error(`${op}: Punkt "${name}" nicht gefunden`);
+    return point;
+}
+
+function parseNumber(token) {
+    const value = Number(token);
+    return token !== '' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Split "KEY=value" tokens (or plain values) into { named, positional }
+ */
+function parseArguments(tokens) {
+    const named = {};
+    const positional = [];
+
+    tokens.forEach(token => {
+        const eq = token.indexOf('=');
+        if (eq > 0) {
+            named[token.slice(0, eq).toUpperCase()] = token.slice(eq + 1);
+        } else {
+            positional.push(token);
+        }
+    });
+
+    return { named, positional };
+}
+
+function parseMovJ(tokens, points) {
+    if (tokens.length === 1 && POINT_NAME.test(tokens[0])) {
+        return { angles: { ...findPoint('MOVJ', tokens[0], points).angles }, point: tokens[0] };
+    }
+
+    const { named, positional } = parseArguments(tokens);
+    const angles = {};
+
+    if (positional.length > 0 && Object.keys(named).length > 0) {
+        throw new Error('MOVJ: benannte und positionelle Werte nicht mischen');
+    }
+
+    if (positional.length > ARM_JOINTS.length) {
+        throw new Error(`MOVJ: höchstens ${ARM_JOINTS.length} Werte erwartet`);
+    }
+
+    positional.forEach((token, i) => { named[`J${i + 1}`] = token; });
+
+    Object.entries(named).forEach(([key, token]) => {
+        const joint = JOINT_ALIASES[key];
+        if (!joint) throw new Error(`MOVJ: unbekanntes Gelenk "${key}"`);
+
+        const value = parseNumber(token);
+        if (value === null) throw new Error(`MOVJ: "${token}" ist keine Zahl`);
+
+        const limits = JOINT_LIMITS[joint];
+        if (value < limits.min || value > limits.max) {
+            throw new Error(`MOVJ: ${joint}=${value}° außerhalb von ${limits.min}°..${limits.max}°`);
+        }
+        angles[joint] = value;
+    });
+
+    if (Object.keys(angles).length === 0) throw new Error('MOVJ: keine Gelenkwerte');
+    return { angles };
+}
+
+/**
+ * Read named (or positional, in the given key order) numeric arguments plus an optional speed V
+ */
+function parseCoordinates(op, tokens, keys) {
+    const { named, positional } = parseArguments(tokens);
+    if (positional.length > 0) {
+        [...keys, 'V'].forEach((key, i) => {
+            if (positional[i] !== undefined) named[key] = positional[i];
+        });
+    }
+
+    const values = keys.map(key => {
+        const value = parseNumber(named[key] ?? '');
+        if (value === null) throw new Error(`${op}: ${key} fehlt oder ist keine Zahl`);
+        return value;
+    });
+
+    return { values, speed: parseSpeed(op, named) };
+}
+
+// Optional V=... argument
+function parseSpeed(op, named) {
+    if (named.V === undefined) return null;
+
+    const speed = parseNumber(named.V);
+    if (speed === null || speed <= 0) throw new Error(`${op}: Geschwindigkeit V muss > 0 sein`);
+    return speed;
+}
+
+function parseMovL(tokens, points) {
+    if (tokens.length > 0 && POINT_NAME.test(tokens[0])) {
+        const [name, ...rest] = tokens;
+        const point = findPoint('MOVL', name, points);
+        const { named, positional } = parseArguments(rest);
+        if (positional.length > 0 || Object.keys(named).some(key => key !== 'V')) {
+            throw new Error('MOVL: nach dem Punkt ist nur V=… erlaubt');
+        }
+        return { position: point.position.slice(), speed: parseSpeed('MOVL', named), point: name };
+    }
+
+    const { values, speed } = parseCoordinates('MOVL', tokens, ['X', 'Y', 'Z']);
+    return { position: values, speed };
+}
+
+function parseMovC(tokens) {
+    const { values, speed } = parseCoordinates('MOVC', tokens, ['AX', 'AY', 'AZ', 'X', 'Y', 'Z']);
+    return { via: values.slice(0, 3), position: values.slice(3), speed };
+}
+
+function parseGrip(tokens) {
+    const arg = (tokens[0] || '').toUpperCase();
+    if (arg === 'OPEN') return { angle: JOINT_LIMITS.gripper.max };
+    if (arg === 'CLOSE') return { angle: JOINT_LIMITS.gripper.min };
+
+    const value = parseNumber(tokens[0] || '');
+    const limits = JOINT_LIMITS.gripper;
+    if (value === null || value < limits.min || value > limits.max) {
+        throw new Error(`GRIP: OPEN, CLOSE oder ${limits.min}..${limits.max} erwartet`);
+    }
+    return { angle: value };
+}
+
+function parseSingleNumber(op, tokens, { integer = false, min = 0 } = {}) {
+    const value = parseNumber(tokens[0] || '');
+    if (value === null || value < min || (integer && !Number.isInteger(value))) {
+        throw new Error(`${op}: ${integer ? 'ganze ' : ''}Zahl ≥ ${min} erwartet`);
+    }
+    return value;
+}
+
+/**
+ * Parse a program text
+ * @param {string} text - Program source
+ * @param {Array} [points] - Taught points [{ name, angles, position }] for MOVJ/MOVL by name
+ * @returns {Object} { instructions: [{ op, line, ... }], labels: { name: index }, errors: [{ line, message }] }
+ */
+export function parseProgram(text, points = []) {
+    const instructions = [];
+    const labels = {};
+    const errors = [];
+    const openLoops = [];
+    const jumps = [];
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        const code = rawLine.replace(/;.*$/, '').trim();
+        if (!code) return;
+
+        // Label definition
+        const labelMatch = code.match(/^([A-Za-z_]\w*):$/);
+        if (labelMatch) {
+            const name = labelMatch[1].toLowerCase();
+            if (name in labels) {
+                errors.push({ line, message: `Marke "${labelMatch[1]}" doppelt definiert` });
+            } else {
+                labels[name] = instructions.length;
+            }
+            return;
+        }
+
+        const [opToken, ...tokens] = code.split(/\s+/);
+        const op = opToken.toUpperCase();
+
+        try {
+            let instruction;
+            switch (op) {
+                case 'MOVJ':
+                    instruction = { op, ...parseMovJ(tokens, points) };
+                    break;
+                case 'MOVL':
+                    instruction = { op, ...parseMovL(tokens, points) };
+                    break;
+                case 'MOVC':
+                    instruction = { op, ...parseMovC(tokens) };
+                    break;
+                case 'GRIP':
+                    instruction = { op, ...parseGrip(tokens) };
+                    break;
+                case 'WAIT':
+                    instruction = { op, seconds: parseSingleNumber(op, tokens) };
+                    break;
+                case 'LOOP':
+                    instruction = { op, count: parseSingleNumber(op, tokens, { integer: true, min: 1 }), end: null };
+                    openLoops.push(instructions.length);
+                    break;
+                case 'ENDLOOP': {
+                    if (openLoops.length === 0) throw new Error('ENDLOOP ohne LOOP');
+                    const start = openLoops.pop();
+                    instructions[start].end = instructions.length;
+                    instruction = { op, start };
+                    break;
+                }
+                case 'JMP':
+                    if (!tokens[0]) throw new Error('JMP: Marke fehlt');
+                    instruction = { op, label: tokens[0] };
+                    jumps.push({ line, label: tokens[0] });
+                    break;
+                case 'END':
+                    instruction = { op };
+                    break;
+                default:
+                    throw new Error(`Unbekannter Befehl "${opToken}" (${OPCODES.join(', ')})`);
+            }
+
+            instruction.line = line;
+            instructions.push(instruction);
+        } catch (error) {
+            errors.push({ line, message: error.message });
+        }
+    });
+
+    openLoops.forEach(start => {
+        errors.push({ line: instructions[start].line, message: 'LOOP ohne ENDLOOP' });
+    });
+
+    jumps.forEach(({ line, label }) => {
+        if (!(label.toLowerCase() in labels)) {
+            errors.push({ line, message: `Marke "${label}" nicht gefunden` });
+        }
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { instructions, labels, errors };
+}
+
+/**
+ * Executes a parsed program against the simulator, one fixed simulation step at a time
+ * Reports through the same window events as the ScriptRunner (scriptLog, scriptError, scriptStateChanged).
+ */
+export class ProgramInterpreter {
+    constructor(simulator) {
+        this.simulator = simulator;
+
+        this.program = null;
+        this.pc = 0; // Index of the next instruction
+        this.loopCounters = {};
+
+        this.state = 'idle'; // 'idle' | 'running' | 'stepping'
+        this.stepMode = false;
+        this.holding = false; // Step mode: waiting for the user before the next instruction
+        this.active = null; // Motion or wait in progress
+
+        this.onArmCollision = this.onArmCollision.bind(this);
+    }
+
+    /**
+     * Parse and start a program
+     * @returns {Array} Parse errors (the program does not start if there are any)
+     */
+    run(text, options = {}) {
+        this.stop();
+
+        const program = parseProgram(text, this.simulator.storage.loadTeachPoints());
+        if (program.errors.length > 0) {
+            program.errors.forEach(error => this.emit('scriptError', error));
+            return program.errors;
+        }
+
+        this.program = program;
+        this.pc = 0;
+        this.loopCounters = {};
+        this.stepMode = options.stepMode === true;
+        this.holding = this.stepMode;
+
+        window.addEventListener('armCollision', this.onArmCollision);
+        this.setState(this.stepMode ? 'stepping' : 'running');
+        return [];
+    }
+
+    /**
+     * Execute the next instruction (switches a free run into step mode)
+     */
+    step() {
+        if (this.state === 'idle') return;
+
+        this.stepMode = true;
+        this.holding = false;
+        this.setState('stepping');
+    }
+
+    resume() {
+        if (this.state === 'idle') return;
+
+        this.stepMode = false;
+        this.holding = false;
+        this.setState('running');
+    }
+
+    stop() {
+        if (this.active && this.active.motion) {
+            this.simulator.updateJoints(this.simulator.getJointPositions());
+        }
+
+        this.program = null;
+        this.active = null;
+        this.holding = false;
+        window.removeEventListener('armCollision', this.onArmCollision);
+
+        if (this.state !== 'idle') {
+            this.setState('idle');
+        }
+    }
+
+    isRunning() {
+        return this.state !== 'idle';
+    }
+
+    get currentLine() {
+        if (!this.program) return null;
+        const instruction = this.program.instructions[this.pc];
+        return instruction ? instruction.line : null;
+    }
+
+    /**
+     * Advance the program (called once per fixed simulation step)
+     */
+    update(dt) {
+        if (!this.program) return;
+
+        if (this.active) {
+            if (!this.active.until(dt)) return;
+            this.active = null;
+            if (this.stepMode) {
+                this.holding = true;
+                this.setState('stepping');
+            }
+        }
+
+        for (let count = 0; count < MAX_INSTRUCTIONS_PER_STEP; count++) {
+            if (this.holding) return;
+
+            if (this.pc >= this.program.instructions.length) {
+                this.finish();
+                return;
+            }
+
+            const instruction = this.program.instructions[this.pc];
+            try {
+                this.execute(instruction);
+            } catch (error) {
+                this.fail(error.message, instruction.line);
+                return;
+            }
+
+            if (!this.program) return; // END
+            if (this.active) {
+                this.setState(this.state);
+                return;
+            }
+            if (this.stepMode) {
+                this.holding = true;
+                this.setState('stepping');
+            }
+        }
+
+        this.fail('Endlosschleife ohne Bewegung', this.currentLine);
+    }
+
+    execute(instruction) {
+        const sim = this.simulator;
+        this.pc++;
+
+        switch (instruction.op) {
+            case 'MOVJ':
+                sim.updateJoints(instruction.angles);
+                this.active = { motion: true, until: () => !sim.isMoving() };
+                break;
+
+            case 'MOVL':
+            case 'MOVC': {
+                const options = instruction.speed ? { speed: instruction.speed } : {};
+                const plan = instruction.op === 'MOVL'
+                    ? sim.moveLinear(instruction.position, options)
+                    : sim.moveCircular(instruction.via, instruction.position, options);
+                if (!plan.reachable) {
+                    throw new Error(describePlanFailure(plan));
+                }
+                this.active = { motion: true, until: () => !sim.isMoving() };
+                break;
+            }
+
+            case 'GRIP':
+                sim.updateJoints({ gripper: instruction.angle });
+                this.active = { motion: true, until: () => !sim.joints.gripper.isMoving() };
+                break;
+
+            case 'WAIT': {
+                let remaining = instruction.seconds;
+                this.active = {
+                    until: (dt) => {
+                        remaining -= dt;
+                        return remaining <= 0;
+                    }
+                };
+                break;
+            }
+
+            case 'LOOP':
+                this.loopCounters[this.pc - 1] = instruction.count;
+                break;
+
+            case 'ENDLOOP':
+                this.loopCounters[instruction.start]--;
+                if (this.loopCounters[instruction.start] > 0) {
+                    this.pc = instruction.start + 1;
+                }
+                break;
+
+            case 'JMP':
+                this.pc = this.program.labels[instruction.label.toLowerCase()];
+                break;
+
+            case 'END':
+                this.finish();
+                break;
+        }
+    }
+
+    // A blocked motion never reaches its target
+    onArmCollision(e) {
+        if (!e.detail.blocked || !this.active || !this.active.motion) return;
+
+        const line = this.program.instructions[this.pc - 1].line;
+        this.active = null;
+        this.fail('Bewegung durch Kollision blockiert', line);
+    }
+
+    finish() {
+        this.emit('scriptLog', { text: 'Programm beendet.' });
+        this.stop();
+    }
+
+    fail(message, line) {
+        this.emit('scriptError', { message, line: line ?? null });
+        this.stop();
+    }
+
+    setState(state) {
+        this.state = state;
+
+        // While a motion runs, highlight its line; otherwise the next one
+        const line = this.active ? this.program.instructions[this.pc - 1].line : this.currentLine;
+        this.emit('scriptStateChanged', { state, line: state === 'idle' ? null : line });
+    }
+
+    emit(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
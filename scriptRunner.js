@@ -0,0 +1,386 @@
+// Script Runner - Runs student programs in a sandboxed Web Worker and drives the arm
+// The worker only sees the scripting API below; every call is a message to this runner,
+// which executes it on the simulator and answers once the motion is finished.
+
+import * as THREE from 'three';
+import { JOINT_NAMES, JOINT_LIMITS } from './kinematics.js';
+import { describePlanFailure } from './cartesianPath.js';
+
+const GRIPPER_OPEN = JOINT_LIMITS.gripper.max;
+const GRIPPER_CLOSED = JOINT_LIMITS.gripper.min;
+
+// Functions available to student code (all return promises, use with await)
+export const SCRIPT_API = [
+    'moveJoint', 'moveTo', 'moveLinear', 'moveCircular', 'moveToPoint', 'openGripper', 'closeGripper', 'wait',
+    'getJoints', 'getGripperPosition', 'isHolding', 'getObjects', 'getLevelInfo'
+];
+
+// Runs inside the worker before the student code
+const WORKER_PRELUDE = `'use strict';
+const __OFFSET = %OFFSET%;
+const __send = self.postMessage.bind(self);
+const __pending = new Map();
+let __nextId = 1;
+
+// No network or extra scripts for student code
+['fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches'].forEach((name) => {
+    try { self[name] = undefined; } catch (e) { /* read-only in some browsers */ }
+});
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    const call = __pending.get(msg.id);
+    if (!call) return;
+    __pending.delete(msg.id);
+    if (msg.type === 'error') {
+        const error = new Error(msg.message);
+        error.line = call.line; // Report the failing API call, not the prelude
+        call.reject(error);
+    } else {
+        call.resolve(msg.value);
+    }
+};
+
+// First stack frame inside the student code, as a line of the editor
+function __lineFromStack(stack) {
+    for (const frame of String(stack || '').split('\\n')) {
+        const match = frame.match(/blob:.*:(\\d+):\\d+\\)?$/);
+        if (match && Number(match[1]) > __OFFSET) return Number(match[1]) - __OFFSET;
+    }
+    return null;
+}
+
+function __call(method, ...args) {
+    const id = __nextId++;
+    const line = __lineFromStack(new Error().stack);
+    return new Promise((resolve, reject) => {
+        __pending.set(id, { resolve, reject, line });
+        __send({ type: 'call', id, method, args, line });
+    });
+}
+
+${SCRIPT_API.map(name => `const ${name} = (...args) => __call('${name}', ...args);`).join('\n')}
+const log = (...args) => __send({ type: 'log', text: args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ') });
+
+(async () => {
+`;
+
+const WORKER_EPILOGUE = `
+})().then(
+    () => __send({ type: 'done' }),
+    (err) => __send({ type: 'error', message: String(err && err.message || err), line: err && err.line || __lineFromStack(err && err.stack) })
+);
+`;
+
+/**
+ * Parse numeric arguments, throwing a readable error for the student
+ */
+function requireNumbers(method, values) {
+    values.forEach(value => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${method}: Zahl erwartet, erhalten: ${JSON.stringify(value)}`);
+        }
+    });
+}
+
+/**
+ * Command handlers: return { value } for queries or { until(dt) } for motions
+ */
+const COMMANDS = {
+    moveJoint(sim, joint, angle) {
+        if (!JOINT_NAMES.includes(joint)) {
+            throw new Error(`moveJoint: unbekanntes Gelenk "${joint}" (${JOINT_NAMES.join(', ')})`);
+        }
+        requireNumbers('moveJoint', [angle]);
+        sim.updateJoints({ [joint]: angle });
+        return { motion: true, until: () => !sim.joints[joint].isMoving() };
+    },
+
+    moveTo(sim, x, y, z) {
+        requireNumbers('moveTo', [x, y, z]);
+        const result = sim.moveGripperTo(new THREE.Vector3(x, y, z));
+        if (!result.reachable) {
+            throw new Error(`moveTo: Position (${x}, ${y}, ${z}) ist nicht erreichbar`);
+        }
+        return { motion: true, until: () => !sim.isMoving() };
+    },
+
+    moveLinear(sim, x, y, z, speed) {
+        requireNumbers('moveLinear', speed === undefined ? [x, y, z] : [x, y, z, speed]);
+        const plan = sim.moveLinear([x, y, z], speed ? { speed } : {});
+        if (!plan.reachable) {
+            throw new Error(`moveLinear: ${describePlanFailure(plan)}`);
+        }
+        return { motion: true, until: () => !sim.isMoving() };
+    },
+
+    moveCircular(sim, via, end, speed) {
+        if (!Array.isArray(via) || !Array.isArray(end)) {
+            throw new Error('moveCircular: Hilfs- und Zielpunkt als [x, y, z] angeben');
+        }
+        requireNumbers('moveCircular', [...via, ...end, ...(speed === undefined ? [] : [speed])]);
+        const plan = sim.moveCircular(via, end, speed ? { speed } : {});
+        if (!plan.reachable) {
+            throw new Error(`moveCircular: ${describePlanFailure(plan)}`);
+        }
+        return { motion: true, until: () => !sim.isMoving() };
+    },
+
+    moveToPoint(sim, name, options = {}) {
+        if (typeof name !== 'string') {
+            throw new Error('moveToPoint: Name des geteachten Punkts angeben');
+        }
+        if (options.speed !== undefined) requireNumbers('moveToPoint', [options.speed]);
+        const result = sim.moveToPoint(name, { linear: !!options.linear, speed: options.speed });
+        if (!result.reachable) {
+            throw new Error(`moveToPoint: ${result.reason}`);
+        }
+        return { motion: true, until: () => !sim.isMoving() };
+    },
+
+    openGripper(sim) {
+        sim.updateJoints({ gripper: GRIPPER_OPEN });
+        return { motion: true, until: () => !sim.joints.gripper.isMoving() };
+    },
+
+    closeGripper(sim) {
+        sim.updateJoints({ gripper: GRIPPER_CLOSED });
+        return { motion: true, until: () => !sim.joints.gripper.isMoving() };
+    },
+
+    wait(sim, seconds) {
+        requireNumbers('wait', [seconds]);
+        let remaining = seconds;
+        return {
+            until: (dt) => {
+                remaining -= dt;
+                return remaining <= 0;
+            }
+        };
+    },
+
+    getJoints(sim) {
+        return { value: sim.getJointPositions() };
+    },
+
+    getGripperPosition(sim) {
+        return { value: sim.getEndEffectorState().position };
+    },
+
+    isHolding(sim) {
+        return { value: !!(sim.objectManager && sim.objectManager.attachedObject) };
+    },
+
+    getObjects(sim) {
+        const objects = sim.objectManager ? sim.objectManager.getAllObjects() : [];
+        return {
+            value: objects.map(obj => ({
+                id: obj.userData.id,
+                type: obj.userData.type,
+                color: '#' + obj.material.color.getHexString(),
+                position: obj.position.toArray(),
+                attached: obj.userData.attached
+            }))
+        };
+    },
+
+    getLevelInfo(sim) {
+        const levelManager = sim.levelManager;
+        return { value: levelManager && levelManager.isActive ? levelManager.getCurrentLevelInfo() : null };
+    }
+};
+
+export class ScriptRunner {
+    constructor(simulator) {
+        this.simulator = simulator;
+
+        this.worker = null;
+        this.workerUrl = null;
+
+        this.state = 'idle'; // 'idle' | 'running' | 'stepping'
+        this.stepMode = false;
+        this.heldCall = null; // Call waiting for the next step in step mode
+        this.activeCall = null; // Motion or wait in progress
+        this.currentLine = null;
+
+        this.onArmCollision = this.onArmCollision.bind(this);
+    }
+
+    /**
+     * Start a program
+     * @param {string} code - Student source code (top level await allowed)
+     * @param {Object} [options] - { stepMode: pause before every API call }
+     */
+    run(code, options = {}) {
+        this.stop();
+
+        const offset = WORKER_PRELUDE.split('\n').length - 1;
+        const source = WORKER_PRELUDE.replace('%OFFSET%', offset) + code + WORKER_EPILOGUE;
+
+        this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (e) => this.onWorkerMessage(e.data);
+        this.worker.onerror = (e) => {
+            // Syntax errors and uncaught errors outside the program promise
+            e.preventDefault();
+            this.fail(e.message, e.lineno ? e.lineno - offset : null);
+        };
+
+        this.stepMode = options.stepMode === true;
+        window.addEventListener('armCollision', this.onArmCollision);
+        this.setState(this.stepMode ? 'stepping' : 'running');
+    }
+
+    /**
+     * Execute the next API call (switches a free run into step mode)
+     */
+    step() {
+        if (this.state === 'idle') return;
+
+        this.stepMode = true;
+        this.setState('stepping');
+        this.releaseHeldCall();
+    }
+
+    /**
+     * Leave step mode and run to the end
+     */
+    resume() {
+        if (this.state === 'idle') return;
+
+        this.stepMode = false;
+        this.setState('running');
+        this.releaseHeldCall();
+    }
+
+    releaseHeldCall() {
+        if (!this.heldCall) return;
+
+        const call = this.heldCall;
+        this.heldCall = null;
+        this.execute(call);
+    }
+
+    stop() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+
+        // Halt the arm where it is
+        if (this.activeCall && this.activeCall.motion) {
+            this.simulator.updateJoints(this.simulator.getJointPositions());
+        }
+
+        this.heldCall = null;
+        this.activeCall = null;
+        this.currentLine = null;
+        window.removeEventListener('armCollision', this.onArmCollision);
+
+        if (this.state !== 'idle') {
+            this.setState('idle');
+        }
+    }
+
+    isRunning() {
+        return this.state !== 'idle';
+    }
+
+    onWorkerMessage(msg) {
+        switch (msg.type) {
+            case 'call':
+                if (this.stepMode) {
+                    this.heldCall = msg;
+                    this.setLine(msg.line);
+                } else {
+                    this.execute(msg);
+                }
+                break;
+            case 'log':
+                this.emit('scriptLog', { text: msg.text });
+                break;
+            case 'done':
+                this.emit('scriptLog', { text: 'Programm beendet.' });
+                this.stop();
+                break;
+            case 'error':
+                this.fail(msg.message, msg.line);
+                break;
+        }
+    }
+
+    execute(call) {
+        this.setLine(call.line);
+
+        const handler = COMMANDS[call.method];
+        if (!handler) {
+            this.reply(call.id, { error: `Unbekannte Funktion: ${call.method}` });
+            return;
+        }
+
+        try {
+            const result = handler(this.simulator, ...(call.args || []));
+            if (result.until) {
+                this.activeCall = { id: call.id, motion: !!result.motion, until: result.until };
+            } else {
+                this.reply(call.id, { value: result.value });
+            }
+        } catch (error) {
+            this.reply(call.id, { error: error.message });
+        }
+    }
+
+    reply(id, { value, error }) {
+        if (!this.worker) return;
+        if (error) {
+            this.worker.postMessage({ type: 'error', id, message: error });
+        } else {
+            this.worker.postMessage({ type: 'result', id, value });
+        }
+    }
+
+    /**
+     * Advance waiting motions (called once per fixed simulation step)
+     */
+    update(dt) {
+        if (!this.activeCall) return;
+
+        if (this.activeCall.until(dt)) {
+            const id = this.activeCall.id;
+            this.activeCall = null;
+            this.reply(id, {});
+        }
+    }
+
+    // A blocked motion never reaches its target: fail the call so the program can react
+    onArmCollision(e) {
+        if (!e.detail.blocked || !this.activeCall || !this.activeCall.motion) return;
+
+        const id = this.activeCall.id;
+        this.activeCall = null;
+        this.reply(id, { error: 'Bewegung durch Kollision blockiert' });
+    }
+
+    fail(message, line) {
+        this.emit('scriptError', { message, line: line ?? null });
+        this.stop();
+    }
+
+    setLine(line) {
+        this.currentLine = line ?? null;
+        this.emit('scriptStateChanged', { state: this.state, line: this.currentLine });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.emit('scriptStateChanged', { state, line: this.currentLine });
+    }
+
+    emit(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
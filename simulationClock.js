@@ -0,0 +1,106 @@
+// Simulation Clock - Fixed timestep accumulator with pause, single-step and fast-forward
+
+export class SimulationClock {
+    constructor(options = {}) {
+        this.fixedDt = options.fixedDt ?? 1 / 60;
+        this.maxSubSteps = options.maxSubSteps ?? 8; // Per frame at 1x, avoids the spiral of death
+        this.seed = options.seed ?? 1;
+
+        this.tick = 0;
+        this.accumulator = 0;
+        this.timeScale = 1;
+        this.paused = false;
+        this.pendingSteps = 0;
+
+        this.rngState = this.seed | 0;
+    }
+
+    /**
+     * Simulated time in seconds
+     */
+    get time() {
+        return this.tick * this.fixedDt;
+    }
+
+    /**
+     * Fraction of a tick between the last simulated state and the next one (for rendering)
+     */
+    get alpha() {
+        return this.paused ? 1 : this.accumulator / this.fixedDt;
+    }
+
+    /**
+     * Restart at tick 0 with a (new) seed
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.rngState = seed | 0;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.pendingSteps = 0;
+    }
+
+    /**
+     * Feed real elapsed time, get the number of fixed steps to simulate
+     * @param {number} realDt - Real seconds since the last frame
+     */
+    advance(realDt) {
+        if (this.paused) {
+            const steps = this.pendingSteps;
+            this.pendingSteps = 0;
+            return steps;
+        }
+
+        this.accumulator += Math.max(0, realDt) * this.timeScale;
+        const maxSteps = Math.ceil(this.maxSubSteps * this.timeScale);
+
+        let steps = Math.floor(this.accumulator / this.fixedDt);
+        if (steps > maxSteps) {
+            // Too far behind: drop the backlog instead of freezing the tab
+            steps = maxSteps;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.fixedDt;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Count one simulated step (called by the simulation after each fixed step)
+     */
+    onStep() {
+        this.tick++;
+    }
+
+    pause() {
+        this.paused = true;
+        this.accumulator = 0;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Queue exactly one tick while paused
+     */
+    stepOnce() {
+        if (this.paused) this.pendingSteps++;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0.1, scale);
+    }
+
+    /**
+     * Seeded pseudo random number in [0, 1) (mulberry32)
+     */
+    random() {
+        this.rngState = (this.rngState + 0x6D2B79F5) | 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
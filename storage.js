@@ -1,9 +1,23 @@
 // Storage - LocalStorage wrapper for persisting game data
+import { CUSTOM_LEVEL_ID_START } from './levelData.js';
+
+/**
+ * In-memory stand-in with the localStorage interface (Node / headless runs)
+ */
+function createMemoryStore() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
 
 class Storage {
-    constructor() {
+    constructor(backend = null) {
         this.storageKey = '3D_ARM_SIMULATOR';
         this.version = '1.0';
+        this.backend = backend || (typeof localStorage !== 'undefined' ? localStorage : createMemoryStore());
     }
 
     /**
@@ -11,7 +25,7 @@ class Storage {
      */
     loadAll() {
         try {
-            const data = localStorage.getItem(this.storageKey);
+            const data = this.backend.getItem(this.storageKey);
             if (data) {
                 const parsed = JSON.parse(data);
                 if (parsed.version === this.version) {
@@ -33,7 +47,7 @@ class Storage {
         try {
             data.version = this.version;
             data.lastUpdated = new Date().toISOString();
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            this.backend.setItem(this.storageKey, JSON.stringify(data));
             return true;
         } catch (error) {
             console.error('Error saving data:', error);
@@ -55,6 +69,9 @@ class Storage {
             },
             animations: [],
             sandboxScenes: [],
+            teachPoints: [], // Taught arm poses referenced by name from programs and animations
+            poses: [], // Pose library (built-in poses are not stored)
+            customLevels: [], // Level editor levels in the levelData.js format
             preferences: {
                 soundEnabled: true,
                 musicEnabled: true,
@@ -174,6 +191,202 @@ class Storage {
         return data.sandboxScenes;
     }
 
+    /**
+     * Rename sandbox scene (fails if the new name is taken)
+     */
+    renameSandbox(name, newName) {
+        const data = this.loadAll();
+        const scene = data.sandboxScenes.find(s => s.name === name);
+        if (!scene || data.sandboxScenes.some(s => s.name === newName)) {
+            return false;
+        }
+
+        scene.name = newName;
+        this.saveAll(data);
+        return true;
+    }
+
+    /**
+     * Delete sandbox scene
+     */
+    deleteSandbox(name) {
+        const data = this.loadAll();
+        data.sandboxScenes = data.sandboxScenes.filter(s => s.name !== name);
+        this.saveAll(data);
+    }
+
+    /**
+     * Save a taught point (replaces the point with the same name)
+     * @param {Object} point - { name, angles, position }
+     */
+    saveTeachPoint(point) {
+        const data = this.loadAll();
+        const points = data.teachPoints || [];
+
+        const entry = { ...point, created: new Date().toISOString() };
+        const existingIndex = points.findIndex(p => p.name === point.name);
+        if (existingIndex >= 0) {
+            points[existingIndex] = entry;
+        } else {
+            points.push(entry);
+        }
+
+        data.teachPoints = points;
+        this.saveAll(data);
+        return entry;
+    }
+
+    /**
+     * Load taught points
+     */
+    loadTeachPoints() {
+        const data = this.loadAll();
+        return data.teachPoints || [];
+    }
+
+    /**
+     * Delete taught point
+     */
+    deleteTeachPoint(name) {
+        const data = this.loadAll();
+        data.teachPoints = (data.teachPoints || []).filter(p => p.name !== name);
+        this.saveAll(data);
+    }
+
+    /**
+     * Save a library pose (replaces the pose with the same name)
+     */
+    savePose(name, angles) {
+        return this.importPoses([{ name, angles }])[0];
+    }
+
+    /**
+     * Add poses, e.g. from a pose file (same names are replaced)
+     * @param {Array} poses - [{ name, angles }]
+     * @returns {Array} The stored poses
+     */
+    importPoses(poses) {
+        const data = this.loadAll();
+        data.poses = data.poses || [];
+
+        const stored = poses.map(({ name, angles }) => {
+            const entry = { name, angles: { ...angles }, created: new Date().toISOString() };
+            const existingIndex = data.poses.findIndex(p => p.name === name);
+            if (existingIndex >= 0) {
+                data.poses[existingIndex] = entry;
+            } else {
+                data.poses.push(entry);
+            }
+            return entry;
+        });
+
+        this.saveAll(data);
+        return stored;
+    }
+
+    /**
+     * Load library poses
+     */
+    loadPoses() {
+        const data = this.loadAll();
+        return data.poses || [];
+    }
+
+    /**
+     * Delete library pose
+     */
+    deletePose(name) {
+        const data = this.loadAll();
+        data.poses = (data.poses || []).filter(p => p.name !== name);
+        this.saveAll(data);
+    }
+
+    /**
+     * Load preferences (defaults for keys that were never saved)
+     */
+    loadPreferences() {
+        const data = this.loadAll();
+        return { ...this.getDefaultData().preferences, ...data.preferences };
+    }
+
+    /**
+     * Save preferences (merged into the stored ones)
+     */
+    savePreferences(preferences) {
+        const data = this.loadAll();
+        data.preferences = { ...data.preferences, ...preferences };
+        this.saveAll(data);
+        return data.preferences;
+    }
+
+    /**
+     * Save a custom level (replaces the level with the same id)
+     */
+    saveCustomLevel(level) {
+        const data = this.loadAll();
+        const levels = data.customLevels || [];
+
+        const entry = { ...level, modified: new Date().toISOString() };
+        const existingIndex = levels.findIndex(l => l.id === level.id);
+        if (existingIndex >= 0) {
+            levels[existingIndex] = entry;
+        } else {
+            levels.push(entry);
+        }
+
+        data.customLevels = levels;
+        this.saveAll(data);
+        return true;
+    }
+
+    /**
+     * Add levels from a level pack as new custom levels (ids are reassigned)
+     * @param {Array} levels - Levels in the levelData.js format
+     * @param {Object} [pack] - { name, author } shown with the levels
+     * @returns {Array} The stored levels
+     */
+    importCustomLevels(levels, pack = null) {
+        const data = this.loadAll();
+        data.customLevels = data.customLevels || [];
+
+        let nextId = this.getNextCustomLevelId();
+        const imported = levels.map(level => ({
+            ...level,
+            id: nextId++,
+            ...(pack ? { pack: { name: pack.name, author: pack.author || '' } } : {}),
+            modified: new Date().toISOString()
+        }));
+
+        data.customLevels.push(...imported);
+        this.saveAll(data);
+        return imported;
+    }
+
+    /**
+     * Load custom levels
+     */
+    loadCustomLevels() {
+        const data = this.loadAll();
+        return data.customLevels || [];
+    }
+
+    /**
+     * Delete custom level
+     */
+    deleteCustomLevel(id) {
+        const data = this.loadAll();
+        data.customLevels = (data.customLevels || []).filter(l => l.id !== id);
+        this.saveAll(data);
+    }
+
+    /**
+     * Next free id for a new custom level
+     */
+    getNextCustomLevelId() {
+        const ids = this.loadCustomLevels().map(l => l.id);
+        return Math.max(CUSTOM_LEVEL_ID_START - 1, ...ids) + 1;
+    }
+
     /**
      * Export all data as JSON file
      */
@@ -212,7 +425,7 @@ class Storage {
      * Reset all data
      */
     resetAll() {
-        localStorage.removeItem(this.storageKey);
+        this.backend.removeItem(this.storageKey);
         return this.getDefaultData();
     }
 }
@@ -0,0 +1,517 @@
+// Teleop - Jog the arm with the keyboard, a gamepad (Gamepad API) or the teach pendant buttons
+// Inputs are read every simulation step and turned into joint targets a little ahead of
+// the current position, so the motion profiles in RobotArmSimulator keep the arm smooth.
+// A held pendant button (startJog) takes precedence over keyboard and gamepad.
+//
+// Mapping (rebindable, saved as Storage preferences.teleop):
+//   keyboard.joint / keyboard.cartesian - action: [negative key, positive key] (KeyboardEvent.code)
+//   keyboard.buttons                    - action: key
+//   gamepad.joint / gamepad.cartesian   - action: 'axis:i', '-axis:i' (inverted) or ['button:i', 'button:j'] (analog pair)
+//   gamepad.buttons                     - action: 'button:i'
+import { getTcpPose } from './kinematics.js';
+
+export const TELEOP_JOINTS = ['base', 'shoulder', 'elbow', 'wristPitch', 'wristRoll'];
+export const TELEOP_AXES = ['x', 'y', 'z'];
+export const TELEOP_BUTTONS = ['gripperToggle', 'modeToggle', 'fast'];
+export const JOG_FRAMES = ['joint', 'world', 'tool'];
+
+// Standard gamepad layout: left stick 0/1, right stick 2/3, A = 0, Y = 3, RB = 5, LT = 6, RT = 7
+const DEFAULT_MAPPING = {
+    keyboard: {
+        joint: {
+            base: ['KeyA', 'KeyD'],
+            shoulder: ['KeyS', 'KeyW'],
+            elbow: ['KeyF', 'KeyR'],
+            wristPitch: ['KeyG', 'KeyT'],
+            wristRoll: ['KeyQ', 'KeyE']
+        },
+        cartesian: {
+            x: ['ArrowLeft', 'ArrowRight'],
+            y: ['PageDown', 'PageUp'],
+            z: ['ArrowUp', 'ArrowDown']
+        },
+        buttons: { gripperToggle: 'Space', modeToggle: 'KeyM', fast: 'ShiftLeft' }
+    },
+    gamepad: {
+        joint: {
+            base: 'axis:0',
+            shoulder: '-axis:1',
+            elbow: '-axis:3',
+            wristPitch: 'axis:2',
+            wristRoll: ['button:6', 'button:7']
+        },
+        cartesian: {
+            x: 'axis:0',
+            y: '-axis:3',
+            z: 'axis:1',
+            wristRoll: ['button:6', 'button:7']
+        },
+        buttons: { gripperToggle: 'button:0', modeToggle: 'button:3', fast: 'button:5' }
+    }
+};
+
+const DEADZONE = 0.15; // Stick noise around the center
+const JOINT_SPEED = 0.35; // Fraction of each joint's maxVelocity (fast: 1)
+const CARTESIAN_SPEED = 0.4; // Gripper speed in units per second (fast: x3)
+const JOINT_LEAD = 0.25; // Seconds of travel the target may run ahead of the joint
+const CARTESIAN_LEAD = 0.1; // Units the jog target may run ahead of the gripper
+const GRIPPER_OPEN = 45;
+
+// Direction given in the tool frame, expressed in world coordinates
+function toolToWorld(rotation, direction) {
+    return [0, 1, 2].map(row =>
+        rotation[row * 3] * direction[0] + rotation[row * 3 + 1] * direction[1] + rotation[row * 3 + 2] * direction[2]);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Stored mapping on top of the defaults (actions added later keep their default binding)
+ */
+function mergeMapping(stored) {
+    const mapping = clone(DEFAULT_MAPPING);
+    if (!stored) return mapping;
+
+    Object.keys(mapping).forEach(device => {
+        Object.keys(mapping[device]).forEach(group => {
+            Object.assign(mapping[device][group], stored[device] && stored[device][group]);
+        });
+    });
+    return mapping;
+}
+
+/**
+ * Key or gamepad control for text fields is not ours
+ */
+function isTextInput(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+// Keys that press a focused button - the button gets them, not the arm
+const BUTTON_KEYS = ['Space', 'Enter', 'NumpadEnter'];
+
+/**
+ * An open dialog owns keyboard and gamepad until it is closed
+ */
+function isModalOpen() {
+    if (typeof document === 'undefined') return false;
+    return !!document.querySelector('[aria-modal="true"]:not([hidden])');
+}
+
+/**
+ * Value of a gamepad source ('axis:i', '-axis:i', 'button:i') in -1..1
+ */
+function readGamepadSource(pad, source) {
+    const match = /^(-?)(axis|button):(\d+)$/.exec(source || '');
+    if (!match) return 0;
+
+    const index = Number(match[3]);
+    let value;
+    if (match[2] === 'axis') {
+        value = pad.axes[index] || 0;
+        if (Math.abs(value) < DEADZONE) value = 0;
+    } else {
+        const button = pad.buttons[index];
+        value = button ? button.value : 0;
+    }
+    return match[1] ? -value : value;
+}
+
+export class TeleopController {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.enabled = true;
+
+        this.mapping = clone(DEFAULT_MAPPING);
+        this.mode = 'joint'; // Gamepad sticks: 'joint' | 'cartesian'
+
+        this.pressedKeys = new Set();
+        this.pressedButtons = new Set(); // Gamepad buttons held in the last update (edge detection)
+        this.gamepadIndex = null;
+        this.cartesianTarget = null; // Jog target while Cartesian input is held
+        this.heldJog = null; // Pendant button: { frame, axis, direction, override }
+        this.rebind = null; // { device, group, action, slot } waiting for an input
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onGamepadConnected = this.onGamepadConnected.bind(this);
+        this.onGamepadDisconnected = this.onGamepadDisconnected.bind(this);
+    }
+
+    init() {
+        const preferences = this.simulator.storage.loadPreferences();
+        this.mapping = mergeMapping(preferences.teleop);
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+        window.addEventListener('gamepadconnected', this.onGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.pressedKeys.clear();
+        this.cartesianTarget = null;
+        this.emitChange();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.cartesianTarget = null;
+        this.emitChange();
+    }
+
+    getMapping() {
+        return clone(this.mapping);
+    }
+
+    /**
+     * Wait for the next key / gamepad input and bind it
+     * @param {string} device - 'keyboard' | 'gamepad'
+     * @param {string} group - 'joint' | 'cartesian' | 'buttons'
+     * @param {string} action - Joint, axis or button action
+     * @param {number} [slot] - 0 = negative, 1 = positive key of an axis action
+     */
+    startRebind(device, group, action, slot = null) {
+        this.rebind = { device, group, action, slot };
+        this.emitChange();
+    }
+
+    cancelRebind() {
+        this.rebind = null;
+        this.emitChange();
+    }
+
+    resetMapping() {
+        this.mapping = clone(DEFAULT_MAPPING);
+        this.rebind = null;
+        this.saveMapping();
+    }
+
+    applyRebind(binding) {
+        const { device, group, action, slot } = this.rebind;
+        const bindings = this.mapping[device][group];
+
+        // A key does one thing - take it away from its previous action
+        if (device === 'keyboard') {
+            Object.values(this.mapping.keyboard).forEach(other => {
+                Object.entries(other).forEach(([name, value]) => {
+                    if (Array.isArray(value)) {
+                        other[name] = value.map(code => (code === binding ? null : code));
+                    } else if (value === binding) {
+                        other[name] = null;
+                    }
+                });
+            });
+        }
+
+        if (slot === null) {
+            bindings[action] = binding;
+        } else {
+            const pair = Array.isArray(bindings[action]) ? bindings[action] : [null, null];
+            pair[slot] = binding;
+            bindings[action] = pair;
+        }
+
+        this.rebind = null;
+        this.saveMapping();
+    }
+
+    saveMapping() {
+        this.simulator.storage.savePreferences({ teleop: this.mapping });
+        this.emitChange();
+    }
+
+    onKeyDown(e) {
+        if (isTextInput(e.target) || isModalOpen()) return;
+
+        if (this.rebind && this.rebind.device === 'keyboard') {
+            e.preventDefault();
+            if (e.code === 'Escape') {
+                this.cancelRebind();
+            } else {
+                this.applyRebind(e.code);
+            }
+            return;
+        }
+        if (!this.enabled || !this.isBound(e.code)) return;
+        if (e.target && e.target.tagName === 'BUTTON' && BUTTON_KEYS.includes(e.code)) return;
+
+        e.preventDefault(); // Space and arrows would scroll the page
+        if (e.repeat) return;
+        this.pressedKeys.add(e.code);
+
+        const buttons = this.mapping.keyboard.buttons;
+        if (e.code === buttons.gripperToggle) this.toggleGripper();
+        if (e.code === buttons.modeToggle) this.setMode(this.mode === 'joint' ? 'cartesian' : 'joint');
+    }
+
+    onKeyUp(e) {
+        this.pressedKeys.delete(e.code);
+    }
+
+    onBlur() {
+        this.pressedKeys.clear();
+    }
+
+    onGamepadConnected(e) {
+        if (this.gamepadIndex === null) this.gamepadIndex = e.gamepad.index;
+        this.emitChange();
+    }
+
+    onGamepadDisconnected(e) {
+        if (this.gamepadIndex === e.gamepad.index) this.gamepadIndex = null;
+        this.pressedButtons.clear();
+        this.emitChange();
+    }
+
+    isBound(code) {
+        const keyboard = this.mapping.keyboard;
+        return [keyboard.joint, keyboard.cartesian].some(group =>
+            Object.values(group).some(pair => pair.includes(code))) ||
+            Object.values(keyboard.buttons).includes(code);
+    }
+
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        const pads = navigator.getGamepads();
+        if (this.gamepadIndex === null) {
+            // Pads connected before the page loaded announce themselves only on the first press
+            const pad = Array.from(pads).find(Boolean);
+            if (pad) this.gamepadIndex = pad.index;
+        }
+        return this.gamepadIndex === null ? null : pads[this.gamepadIndex] || null;
+    }
+
+    /**
+     * Key pair to -1 / 0 / 1
+     */
+    readKeyAxis(pair) {
+        if (!pair) return 0;
+        return (this.pressedKeys.has(pair[1]) ? 1 : 0) - (this.pressedKeys.has(pair[0]) ? 1 : 0);
+    }
+
+    readPadAxis(pad, binding) {
+        if (!pad || !binding) return 0;
+        if (Array.isArray(binding)) {
+            return readGamepadSource(pad, binding[1]) - readGamepadSource(pad, binding[0]);
+        }
+        return readGamepadSource(pad, binding);
+    }
+
+    /**
+     * Current input as { joints: {name: -1..1}, cartesian: [x, y, z], fast }
+     */
+    readInput() {
+        const pad = this.getGamepad();
+        const keyboard = this.mapping.keyboard;
+        const padGroup = this.mapping.gamepad[this.mode];
+
+        const joints = {};
+        TELEOP_JOINTS.forEach(name => {
+            const value = this.readKeyAxis(keyboard.joint[name]) + this.readPadAxis(pad, padGroup[name]);
+            joints[name] = Math.max(-1, Math.min(1, value));
+        });
+
+        const cartesian = TELEOP_AXES.map(axis => {
+            const value = this.readKeyAxis(keyboard.cartesian[axis]) + this.readPadAxis(pad, padGroup[axis]);
+            return Math.max(-1, Math.min(1, value));
+        });
+
+        const padButtons = this.mapping.gamepad.buttons;
+        const fast = this.pressedKeys.has(keyboard.buttons.fast) ||
+            (!!pad && readGamepadSource(pad, padButtons.fast) > 0.5);
+
+        return { joints, cartesian, fast };
+    }
+
+    /**
+     * Gamepad buttons act on the press, not while held
+     */
+    pollGamepadButtons() {
+        const pad = this.getGamepad();
+        if (!pad) return;
+
+        if (this.rebind && this.rebind.device === 'gamepad') {
+            this.captureGamepadRebind(pad);
+            return;
+        }
+
+        const buttons = this.mapping.gamepad.buttons;
+        const pressed = new Set();
+        pad.buttons.forEach((button, index) => {
+            if (button.pressed) pressed.add(`button:${index}`);
+        });
+
+        if (pressed.has(buttons.gripperToggle) && !this.pressedButtons.has(buttons.gripperToggle)) {
+            this.toggleGripper();
+        }
+        if (pressed.has(buttons.modeToggle) && !this.pressedButtons.has(buttons.modeToggle)) {
+            this.setMode(this.mode === 'joint' ? 'cartesian' : 'joint');
+        }
+        this.pressedButtons = pressed;
+    }
+
+    // First pressed button or clearly deflected stick becomes the binding
+    captureGamepadRebind(pad) {
+        const { group, slot } = this.rebind;
+
+        const button = pad.buttons.findIndex((b, index) => b.pressed && !this.pressedButtons.has(`button:${index}`));
+        if (button >= 0) {
+            this.pressedButtons.add(`button:${button}`);
+            this.applyRebind(`button:${button}`);
+            return;
+        }
+
+        // Axes only make sense for jog actions; the deflection direction becomes "positive"
+        const axis = pad.axes.findIndex(value => Math.abs(value) > 0.6);
+        if (axis >= 0 && group !== 'buttons' && slot === null) {
+            this.applyRebind(`${pad.axes[axis] < 0 ? '-' : ''}axis:${axis}`);
+        }
+
+        this.pressedButtons = new Set(pad.buttons
+            .map((b, index) => (b.pressed ? `button:${index}` : null))
+            .filter(Boolean));
+    }
+
+    /**
+     * Read inputs and jog (call once per simulation step)
+     */
+    update(dt) {
+        if (this.heldJog) {
+            this.stepHeldJog(dt);
+            return;
+        }
+        if (!this.enabled || isModalOpen()) return;
+
+        this.pollGamepadButtons();
+        if (this.rebind) return;
+
+        const input = this.readInput();
+        this.jogJoints(input.joints, dt, input.fast);
+        this.jogCartesian(input.cartesian, dt, input.fast);
+    }
+
+    /**
+     * Jog while a pendant button is held (until stopJog)
+     * @param {string} frame - 'joint' | 'world' | 'tool'
+     * @param {string} axis - Joint name (joint frame) or 'x' | 'y' | 'z'
+     * @param {number} direction - -1 or 1
+     * @param {number} [override] - Fraction of the full jog speed (0..1)
+     */
+    startJog(frame, axis, direction, override = JOINT_SPEED) {
+        this.cartesianTarget = null;
+        this.heldJog = { frame, axis, direction, override };
+    }
+
+    stopJog() {
+        this.heldJog = null;
+        this.cartesianTarget = null;
+    }
+
+    stepHeldJog(dt) {
+        const { frame, axis, direction, override } = this.heldJog;
+        const value = direction * override;
+
+        if (frame === 'joint') {
+            this.jogJoints({ [axis]: value }, dt, true);
+        } else {
+            const vector = TELEOP_AXES.map(name => (name === axis ? value : 0));
+            this.jogCartesian(vector, dt, true, frame);
+        }
+    }
+
+    /**
+     * Move joints with velocities in -1..1 of the jog speed
+     */
+    jogJoints(velocities, dt, fast = false) {
+        const targets = {};
+        Object.entries(velocities).forEach(([name, value]) => {
+            if (!value) return;
+
+            const joint = this.simulator.joints[name];
+            const rate = joint.maxVelocity * (fast ? 1 : JOINT_SPEED);
+            const lead = rate * JOINT_LEAD;
+            const target = joint.target + value * rate * dt;
+            targets[name] = Math.max(joint.position - lead, Math.min(joint.position + lead, target));
+        });
+
+        if (Object.keys(targets).length > 0) {
+            this.simulator.updateJoints(targets);
+        }
+    }
+
+    /**
+     * Move the gripper center along world or tool axes, keeping the tool direction where possible
+     * @param {Array} direction - [x, y, z] in -1..1 of the jog speed
+     * @param {string} [frame] - 'world' or 'tool' (axes of the tool frame when the jog started)
+     */
+    jogCartesian(direction, dt, fast = false, frame = 'world') {
+        if (direction.every(value => value === 0)) {
+            this.cartesianTarget = null;
+            return;
+        }
+
+        const current = getTcpPose(this.simulator.getJointPositions());
+        if (!this.cartesianTarget) {
+            this.cartesianTarget = {
+                position: current.position.slice(),
+                approach: current.approach,
+                rotation: current.rotation
+            };
+        }
+
+        const worldDirection = frame === 'tool' ? toolToWorld(this.cartesianTarget.rotation, direction) : direction;
+        const speed = CARTESIAN_SPEED * (fast ? 3 : 1);
+        const next = this.cartesianTarget.position.map((value, i) => {
+            const moved = value + worldDirection[i] * speed * dt;
+            return Math.max(current.position[i] - CARTESIAN_LEAD, Math.min(current.position[i] + CARTESIAN_LEAD, moved));
+        });
+
+        let result = this.simulator.solveInverseKinematics(next, { approach: this.cartesianTarget.approach });
+        if (!result.reachable) {
+            result = this.simulator.solveInverseKinematics(next);
+        }
+        if (!result.reachable) return; // Edge of the workspace - stay
+
+        this.cartesianTarget.position = next;
+        const { gripper, ...pose } = result.angles;
+        this.simulator.updateJoints(pose);
+    }
+
+    toggleGripper() {
+        const gripper = this.simulator.joints.gripper;
+        this.simulator.updateJoints({ gripper: gripper.target > GRIPPER_OPEN / 2 ? 0 : GRIPPER_OPEN });
+    }
+
+    /**
+     * State for the teleop panel
+     */
+    getStatus() {
+        const pad = this.getGamepad();
+        return {
+            enabled: this.enabled,
+            mode: this.mode,
+            gamepad: pad ? pad.id : null,
+            rebind: this.rebind
+        };
+    }
+
+    emitChange() {
+        window.dispatchEvent(new CustomEvent('teleopChanged', { detail: this.getStatus() }));
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+        window.removeEventListener('gamepadconnected', this.onGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.onGamepadDisconnected);
+    }
+}
@@ -0,0 +1,23 @@
+// Cartesian paths - arc geometry and degenerate input
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { arcPath } from '../cartesianPath.js';
+
+test('arc through three points has the circumcircle', () => {
+    const path = arcPath([1, 2, 0], [0, 2, 1], [-1, 2, 0]);
+
+    assert.ok(Math.abs(path.radius - 1) < 1e-9);
+    assert.ok(Math.abs(path.length - Math.PI) < 1e-9);
+    path.pointAt(path.length).forEach((value, i) => assert.ok(Math.abs(value - [-1, 2, 0][i]) < 1e-9));
+});
+
+test('arc rejects coincident points instead of producing NaN', () => {
+    assert.throws(() => arcPath([1, 2, 0], [0, 2, 1], [1, 2, 0]), /verschieden/);
+    assert.throws(() => arcPath([1, 2, 0], [1, 2, 0], [-1, 2, 0]), /verschieden/);
+    assert.throws(() => arcPath([1, 2, 0], [-1, 2, 0], [-1, 2, 0]), /verschieden/);
+});
+
+test('arc rejects collinear points', () => {
+    assert.throws(() => arcPath([0, 2, 0], [1, 2, 0], [2, 2, 0]), /Geraden/);
+});
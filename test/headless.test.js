@@ -0,0 +1,70 @@
+// Headless scenarios - the simulator without renderer or DOM, as run on CI
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotArmSimulator } from '../robotArm.js';
+import { LEVELS } from '../levelData.js';
+
+const LEVEL_1 = LEVELS.find(level => level.id === 1);
+
+function createSimulator() {
+    const simulator = new RobotArmSimulator();
+    simulator.init({ headless: true });
+    simulator.levelManager.loadLevel(LEVEL_1);
+    return simulator;
+}
+
+/**
+ * Step until the arm has arrived (or the level ended)
+ * @returns {Object|null} Level status if the level ended
+ */
+function settle(simulator, maxTicks = 600) {
+    for (let i = 0; i < maxTicks; i++) {
+        const status = simulator.runTicks(1);
+        if (status) return status;
+        if (i > 0 && !simulator.isMoving()) return null;
+    }
+    throw new Error(`Arm still moving after ${maxTicks} ticks`);
+}
+
+test('level 1 keeps playing while the cube is not on the target', () => {
+    const simulator = createSimulator();
+
+    assert.equal(simulator.runTicks(120), null);
+
+    simulator.levelManager.updateTargetStates();
+    assert.deepEqual(simulator.levelManager.targetStates.map(state => state.filled), [false]);
+    assert.equal(simulator.levelManager.update().status, 'playing');
+});
+
+test('picking the cube and placing it on the target completes level 1', () => {
+    const simulator = createSimulator();
+    const [x, y, z] = LEVEL_1.objects[0].position;
+    const [tx, ty, tz] = LEVEL_1.targets[0].position;
+
+    simulator.updateJoints({ gripper: 45 });
+    settle(simulator);
+    assert.ok(simulator.moveGripperTo([x, y + 0.6, z]).reachable);
+    settle(simulator);
+    assert.ok(simulator.moveGripperTo([x, y, z]).reachable);
+    settle(simulator);
+
+    simulator.updateJoints({ gripper: 0 });
+    settle(simulator);
+    assert.ok(simulator.objectManager.attachedObject, 'cube clamped by the gripper');
+
+    simulator.moveGripperTo([x, y + 0.6, z]);
+    settle(simulator);
+    simulator.moveGripperTo([tx, ty + 0.6, tz]);
+    settle(simulator);
+    simulator.moveGripperTo([tx, ty + 0.05, tz]);
+    settle(simulator);
+
+    simulator.updateJoints({ gripper: 45 });
+    const status = settle(simulator) || simulator.runTicks(300);
+
+    assert.equal(status && status.status, 'completed');
+    assert.equal(status.moves, 1);
+    assert.equal(status.drops, 0);
+    assert.deepEqual(simulator.levelManager.targetStates.map(state => state.filled), [true]);
+});
@@ -0,0 +1,48 @@
+// Forward kinematics - pure module against the Three.js scene graph of the arm
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forwardKinematics, getTcpPosition, getTcpPose } from '../kinematics.js';
+import { RobotArmSimulator } from '../robotArm.js';
+
+const EPSILON = 1e-6;
+
+function assertClose(actual, expected, message) {
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) < EPSILON, `${message}: [${actual}] != [${expected}]`);
+    });
+}
+
+test('zero pose puts the gripper center straight above the base', () => {
+    assertClose(getTcpPosition({}), [0, 4.38, 0], 'tcp');
+
+    const pose = getTcpPose({});
+    assertClose(pose.approach, [0, 1, 0], 'approach');
+    const { roll, pitch, yaw } = pose.orientation;
+    assertClose([roll, pitch, yaw], [0, 0, 0], 'orientation');
+});
+
+test('joint frames follow the link offsets', () => {
+    const frames = forwardKinematics({ base: 90, shoulder: 90 });
+
+    assertClose(frames.shoulder.position, [0, 1.0, 0], 'shoulder');
+    assertClose(frames.elbow.position, [0, 1.0, 1.6], 'elbow');
+});
+
+test('forward kinematics matches getGripperCenterPosition of the scene graph', () => {
+    const simulator = new RobotArmSimulator();
+    simulator.init({ headless: true });
+
+    const configurations = [
+        { base: 30, shoulder: 45, elbow: 60, wristPitch: -30, wristRoll: 90 },
+        { base: -120, shoulder: -60, elbow: 100, wristPitch: 45, wristRoll: -45 },
+        { base: 170, shoulder: 80, elbow: -90, wristPitch: 90, wristRoll: 180 },
+        { base: 0, shoulder: 20, elbow: 120, wristPitch: -80, wristRoll: 0 }
+    ];
+
+    configurations.forEach(angles => {
+        simulator.updateJoints(angles, { immediate: true });
+        const scene = simulator.getGripperCenterPosition().toArray();
+        assertClose(getTcpPosition(angles), scene, JSON.stringify(angles));
+    });
+});
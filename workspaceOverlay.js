@@ -0,0 +1,216 @@
+// Workspace Overlay - Gripper trail and reachability envelope
+// The envelope is sampled with forward kinematics over the joint ranges, so it always
+// matches the arm model; level objects and targets get a reachable/unreachable marker.
+
+import * as THREE from 'three';
+import { JOINT_LIMITS, REACH_TOLERANCE, getTcpPosition, solveIK } from './kinematics.js';
+import { checkArmCollisions } from './collision.js';
+
+const REACHABLE_COLOR = 0x00ff00;
+const UNREACHABLE_COLOR = 0xff0000;
+
+function range(min, max, step) {
+    const values = [];
+    for (let v = min; v <= max + 1e-9; v += step) values.push(v);
+    return values;
+}
+
+/**
+ * Sample the positions the gripper center can reach without touching the floor or itself
+ * @param {Object} [options] - { jointStep, pitchStep, baseStep: degrees, cellSize }
+ * @returns {Array} World points [x, y, z], one per occupied cell
+ */
+export function sampleWorkspace(options = {}) {
+    const { jointStep = 10, pitchStep = 30, baseStep = 15, cellSize = 0.1 } = options;
+
+    // Sample the arm in the base = 0 half plane and keep one point per grid cell
+    const cells = new Map();
+    range(JOINT_LIMITS.shoulder.min, JOINT_LIMITS.shoulder.max, jointStep).forEach(shoulder => {
+        range(JOINT_LIMITS.elbow.min, JOINT_LIMITS.elbow.max, jointStep).forEach(elbow => {
+            range(JOINT_LIMITS.wristPitch.min, JOINT_LIMITS.wristPitch.max, pitchStep).forEach(wristPitch => {
+                const angles = { base: 0, shoulder, elbow, wristPitch, wristRoll: 0, gripper: 0 };
+                const [x, y, z] = getTcpPosition(angles);
+                if (y < 0) return;
+
+                const key = `${Math.round(x / cellSize)},${Math.round(y / cellSize)},${Math.round(z / cellSize)}`;
+                if (cells.has(key) || checkArmCollisions(angles).length > 0) return;
+                cells.set(key, [x, y, z]);
+            });
+        });
+    });
+
+    // The base turns the whole slice around the vertical axis
+    const points = [];
+    range(JOINT_LIMITS.base.min, JOINT_LIMITS.base.max - baseStep, baseStep).forEach(base => {
+        const a = THREE.MathUtils.degToRad(base);
+        const c = Math.cos(a), s = Math.sin(a);
+        cells.forEach(([x, y, z]) => {
+            points.push([x * c + z * s, y, -x * s + z * c]);
+        });
+    });
+
+    return points;
+}
+
+export class WorkspaceOverlay {
+    constructor(simulator, options = {}) {
+        this.simulator = simulator;
+        this.trailDuration = options.trailDuration ?? 5; // Seconds of simulated time
+
+        this.trailVisible = false;
+        this.workspaceVisible = false;
+
+        this.trail = []; // [{ time, position: [x,y,z] }], oldest first
+        this.trailLine = null;
+        this.trailCapacity = 0;
+        this.cloud = null;
+        this.markers = new THREE.Group();
+        this.markedLevel = null;
+    }
+
+    setTrailVisible(visible) {
+        this.trailVisible = visible;
+        this.trail = [];
+
+        if (visible && !this.trailLine) {
+            // One vertex per simulation step
+            this.trailCapacity = Math.ceil(this.trailDuration / this.simulator.clock.fixedDt) + 1;
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.trailCapacity * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.trailCapacity * 3), 3));
+
+            this.trailLine = new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+            this.trailLine.frustumCulled = false;
+            this.simulator.scene.add(this.trailLine);
+        }
+        if (this.trailLine) {
+            this.trailLine.visible = visible;
+            this.updateTrailGeometry();
+        }
+    }
+
+    setWorkspaceVisible(visible) {
+        this.workspaceVisible = visible;
+
+        if (visible && !this.cloud) {
+            // Sampled once, the envelope does not change
+            const positions = new Float32Array(sampleWorkspace().flat());
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+            this.cloud = new THREE.Points(geometry, new THREE.PointsMaterial({
+                color: 0xff6b35,
+                size: 0.04,
+                transparent: true,
+                opacity: 0.35,
+                depthWrite: false
+            }));
+            this.simulator.scene.add(this.cloud);
+            this.simulator.scene.add(this.markers);
+        }
+
+        if (this.cloud) {
+            this.cloud.visible = visible;
+            this.markers.visible = visible;
+        }
+        if (visible) {
+            this.refreshLevelMarkers();
+        }
+    }
+
+    /**
+     * Record the gripper position (called after every simulation step)
+     */
+    update() {
+        if (this.trailVisible) {
+            const time = this.simulator.clock.time;
+            this.trail.push({ time, position: getTcpPosition(this.simulator.angles) });
+            while (this.trail.length > this.trailCapacity || this.trail[0].time < time - this.trailDuration) {
+                this.trail.shift();
+            }
+            this.updateTrailGeometry();
+        }
+
+        // Rebuild level markers when another level was loaded
+        const levelManager = this.simulator.levelManager;
+        const level = levelManager ? levelManager.currentLevel : null;
+        if (this.workspaceVisible && level !== this.markedLevel) {
+            this.refreshLevelMarkers();
+        }
+    }
+
+    // Trail fades from the theme orange (newest) to the black background (oldest)
+    updateTrailGeometry() {
+        if (!this.trailLine) return;
+
+        const geometry = this.trailLine.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+        const color = new THREE.Color(0xff6b35);
+        const count = this.trail.length;
+
+        this.trail.forEach((sample, i) => {
+            const fade = count > 1 ? i / (count - 1) : 1;
+            positions.setXYZ(i, ...sample.position);
+            colors.setXYZ(i, color.r * fade, color.g * fade, color.b * fade);
+        });
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.setDrawRange(0, count);
+    }
+
+    /**
+     * Mark every object and target of the current level as reachable (green) or not (red)
+     */
+    refreshLevelMarkers() {
+        this.clearMarkers();
+
+        const levelManager = this.simulator.levelManager;
+        const level = levelManager ? levelManager.currentLevel : null;
+        this.markedLevel = level;
+        if (!level) return;
+
+        const positions = [
+            ...(level.objects || []).map(obj => obj.position),
+            ...(level.targets || []).map(target => target.position)
+        ];
+
+        positions.forEach(position => {
+            const reachable = solveIK(position, null, {}, { tolerance: REACH_TOLERANCE }).reachable;
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.22, 12, 8),
+                new THREE.MeshBasicMaterial({
+                    color: reachable ? REACHABLE_COLOR : UNREACHABLE_COLOR,
+                    wireframe: true
+                })
+            );
+            marker.position.set(...position);
+            marker.userData.reachable = reachable;
+            this.markers.add(marker);
+        });
+    }
+
+    clearMarkers() {
+        this.markers.children.slice().forEach(marker => {
+            marker.geometry.dispose();
+            marker.material.dispose();
+            this.markers.remove(marker);
+        });
+    }
+
+    dispose() {
+        const scene = this.simulator.scene;
+        this.clearMarkers();
+        scene.remove(this.markers);
+
+        [this.trailLine, this.cloud].forEach(object => {
+            if (!object) return;
+            scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.trailLine = null;
+        this.cloud = null;
+    }
+}